@@ -2,6 +2,25 @@ const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const Staff = require('../models/Staff');
 
+/**
+ * Resolve a staff JWT to its principal. Throws when the token does not verify;
+ * resolves to null when the staff member no longer exists.
+ */
+const resolvePrincipal = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'demo_secret');
+  // Scoped tokens (e.g. call attachments) are not login tokens
+  if (decoded.scope) throw new Error('Token scope not accepted');
+
+  // Check if database is connected
+  if (mongoose.connection.readyState === 1) {
+    // Find Staff member
+    return Staff.findById(decoded.userId);
+  }
+
+  // Demo mode: attach a minimal principal
+  return { _id: decoded.userId, role: 'staff', name: 'Demo Staff', email: decoded.email };
+};
+
 /**
  * Middleware to authenticate JWT tokens (Staff only)
  */
@@ -13,30 +32,46 @@ const authenticateToken = async (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  let principal;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'demo_secret');
+    principal = await resolvePrincipal(token);
+  } catch (error) {
+    return res.status(403).json({ error: 'Invalid token' });
+  }
 
-    // Check if database is connected
-    if (mongoose.connection.readyState === 1) {
-      // Find Staff member
-      const principal = await Staff.findById(decoded.userId);
+  if (!principal) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  req.user = principal;
+  next();
+};
 
-      if (!principal) {
-        return res.status(401).json({ error: 'Invalid token' });
-      }
+/**
+ * Socket.IO handshake middleware. Sockets presenting a token must be valid staff;
+ * sockets without one connect as anonymous visitors.
+ */
+const authenticateSocket = async (socket, next) => {
+  const authHeader = socket.handshake.headers['authorization'];
+  const token = (socket.handshake.auth && socket.handshake.auth.token) || (authHeader && authHeader.split(' ')[1]);
 
-      req.user = principal;
-    } else {
-      // Demo mode: attach a minimal principal
-      req.user = { _id: decoded.userId, role: 'staff', name: 'Demo Staff' };
-    }
+  if (!token) {
+    return next();
+  }
 
-    next();
+  try {
+    const principal = await resolvePrincipal(token);
+    if (!principal || !principal.email) return next(new Error('Invalid token'));
+    socket.data.staff = principal;
   } catch (error) {
-    return res.status(403).json({ error: 'Invalid token' });
+    return next(new Error('Invalid token'));
   }
+
+  next();
 };
 
 module.exports = {
-  authenticateToken
+  authenticateToken,
+  authenticateSocket,
+  resolvePrincipal
 };
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+const timeValidator = {
+  validator: function(v) {
+    return /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(v);
+  },
+  message: 'Time must be in HH:MM format'
+};
+
+const appointmentSchema = new mongoose.Schema({
+  appointmentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: true
+  },
+  staffEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  clientName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  clientEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  clientPhone: {
+    type: String,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  appointmentDate: {
+    type: Date,
+    required: true
+  },
+  appointmentTime: {
+    start: { type: String, required: true, validate: timeValidator },
+    end: { type: String, required: true, validate: timeValidator }
+  },
+  duration: {
+    type: Number, // in minutes
+    default: 30
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Confirmed', 'Checked-in', 'Cancelled', 'Completed', 'No-show'],
+    default: 'Pending'
+  },
+  appointmentType: {
+    type: String,
+    enum: ['In-Person', 'Video Call', 'Phone Call'],
+    default: 'In-Person'
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  staffNotes: {
+    type: String
+  },
+  // Call the appointment was booked from (Call.callId)
+  videoCallDetails: {
+    callId: String,
+    startTime: Date,
+    endTime: Date,
+    duration: Number // in seconds
+  },
+  qrCode: {
+    data: String,
+    generatedAt: Date
+  },
+  // Set when the visitor's QR code is scanned at the front desk
+  checkedInAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String
+  },
+  cancelledBy: {
+    type: String,
+    enum: ['Staff', 'Client', 'System']
+  },
+  cancelledAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+appointmentSchema.index({ staffId: 1, appointmentDate: 1 });
+appointmentSchema.index({ 'videoCallDetails.callId': 1 });
+
+appointmentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
@@ -1,28 +1,76 @@
 const mongoose = require('mongoose');
 
+// Allowed lifecycle moves; ended, missed, rejected and transferred are final
+const CALL_TRANSITIONS = {
+  requested: ['ringing', 'accepted', 'missed', 'rejected', 'ended'],
+  ringing: ['accepted', 'missed', 'rejected', 'ended'],
+  accepted: ['in-progress', 'ended', 'transferred'],
+  'in-progress': ['ended', 'transferred'],
+  ended: [],
+  missed: [],
+  rejected: [],
+  transferred: []
+};
+const CALL_STATUSES = Object.keys(CALL_TRANSITIONS);
+
+// Wrap-up outcome chosen by staff after the call
+const CALL_DISPOSITIONS = [
+  'resolved',
+  'information-provided',
+  'appointment-booked',
+  'callback-needed',
+  'referred',
+  'no-action',
+  'other'
+];
+
 const callSchema = new mongoose.Schema({
+  // Signaling ids: requestId from the visitor's request, callId once a staff member takes it
+  callId: { type: String },
+  requestId: { type: String },
   clientId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   },
+  clientName: { type: String },
   staffId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  staffEmail: { type: String },
+  staffName: { type: String },
+  department: { type: String },
+  // Staff whose devices rang for this call (they see it as missed if nobody answers)
+  rungStaff: [{ type: String }],
+  direction: {
+    type: String,
+    enum: ['incoming', 'outgoing'],
+    default: 'incoming'
+  },
   status: {
     type: String,
-    enum: ['waiting', 'in-progress', 'completed', 'rejected'],
-    default: 'waiting'
+    enum: CALL_STATUSES,
+    default: 'requested'
   },
+  statusHistory: [{
+    status: { type: String, enum: CALL_STATUSES },
+    at: { type: Date, default: Date.now },
+    reason: String
+  }],
+  endReason: { type: String },
+  // Transfer chain between call legs
+  previousCallId: { type: String },
+  nextCallId: { type: String },
+  transferredFrom: { type: String },
+  // Quality report, chat transcript, mode changes, routing details...
+  metadata: { type: Object },
   callType: {
     type: String,
     enum: ['video', 'audio'],
     default: 'video'
   },
   purpose: {
-    type: String,
-    required: true
+    type: String
   },
   description: {
     type: String
@@ -47,12 +95,19 @@ const callSchema = new mongoose.Schema({
   // New field for call updates
   updates: [{
     notes: String,
-    disposition: String,
+    disposition: { type: String, enum: CALL_DISPOSITIONS },
     followUpRequired: { type: Boolean, default: false },
     appointmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Appointment' },
     updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     updatedAt: { type: Date, default: Date.now }
   }],
+  // Open while any wrap-up asked for a follow-up; closed when staff resolve it
+  followUp: {
+    open: { type: Boolean, default: false },
+    dueAt: Date,
+    resolvedAt: Date,
+    resolution: String
+  },
   // Audit fields
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -67,6 +122,11 @@ const callSchema = new mongoose.Schema({
 });
 
 // Indexes for efficient queries
+callSchema.index({ callId: 1 }, { unique: true, sparse: true });
+callSchema.index({ requestId: 1 });
+callSchema.index({ staffEmail: 1, createdAt: -1 });
+callSchema.index({ rungStaff: 1, status: 1, createdAt: -1 });
+callSchema.index({ staffEmail: 1, 'followUp.open': 1 });
 callSchema.index({ staffId: 1, status: 1, createdAt: -1 });
 callSchema.index({ clientId: 1, createdAt: -1 });
 callSchema.index({ status: 1, createdAt: -1 });
@@ -76,4 +136,79 @@ callSchema.pre('save', function(next) {
   next();
 });
 
+// Move to the next lifecycle status, recording when and why; throws on an invalid move
+callSchema.methods.transitionTo = function(status, { reason, at = new Date() } = {}) {
+  const allowed = CALL_TRANSITIONS[this.status] || [];
+  if (!allowed.includes(status)) {
+    const err = new Error(`Invalid call transition ${this.status} -> ${status}`);
+    err.code = 'INVALID_TRANSITION';
+    throw err;
+  }
+  this.status = status;
+  this.statusHistory.push({ status, at, reason });
+  if (status === 'accepted') {
+    this.startTime = at;
+    this.decision = 'accepted';
+  }
+  if (status === 'rejected') this.decision = 'rejected';
+  if (['ended', 'missed', 'rejected', 'transferred'].includes(status)) {
+    this.endTime = at;
+    this.endReason = reason;
+    this.duration = this.startTime ? Math.floor((at - this.startTime) / 1000) : 0;
+  }
+  return this;
+};
+
+// Call log entry as shown to one staff member (shape of the former StaffCallLog)
+callSchema.methods.toCallLog = function() {
+  const outgoing = this.direction === 'outgoing';
+  // Ended without ever being accepted: the visitor cancelled or left before anyone answered
+  const unanswered = this.status === 'ended' && !this.startTime;
+  const logStatus = unanswered
+    ? 'cancelled'
+    : { ended: 'completed', transferred: 'completed', missed: 'missed', rejected: 'rejected' }[this.status] || 'in-progress';
+  return {
+    _id: this._id,
+    callId: this.callId || this.requestId,
+    staffEmail: this.staffEmail,
+    type: this.direction,
+    caller: outgoing ? this.staffName : this.clientName,
+    callee: outgoing ? this.clientName : this.staffName,
+    timestamp: this.startTime || this.createdAt,
+    duration: this.duration || 0,
+    status: logStatus,
+    lifecycle: this.status,
+    statusHistory: this.statusHistory,
+    notes: this.notes,
+    updates: this.updates,
+    followUp: this.followUp,
+    metadata: {
+      ...(this.metadata || {}),
+      requestId: this.requestId,
+      purpose: this.purpose,
+      mode: this.callType,
+      reason: this.endReason,
+      previousCallId: this.previousCallId,
+      nextCallId: this.nextCallId,
+      transferredFrom: this.transferredFrom
+    },
+    createdAt: this.createdAt
+  };
+};
+
+// Call staff record by hand (e.g. a phone call): answered calls end after `duration` seconds, others are missed
+callSchema.statics.manualEntry = function(fields, { at = new Date(), duration = 0, reached = true, reason = 'manual' } = {}) {
+  const call = new this({
+    ...fields,
+    metadata: { ...(fields.metadata || {}), manual: true },
+    statusHistory: [{ status: 'requested', at }]
+  });
+  if (!reached) return call.transitionTo('missed', { reason, at });
+  call.transitionTo('accepted', { at });
+  return call.transitionTo('ended', { reason, at: new Date(at.getTime() + (Number(duration) || 0) * 1000) });
+};
+
+callSchema.statics.TRANSITIONS = CALL_TRANSITIONS;
+callSchema.statics.DISPOSITIONS = CALL_DISPOSITIONS;
+
 module.exports = mongoose.model('Call', callSchema);
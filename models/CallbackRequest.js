@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// A visitor's request to be called back when nobody could take their call
+const callbackRequestSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Phone number or email address to reach the visitor
+  contact: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    trim: true
+  },
+  // Requested staff member; department-wide requests leave it empty
+  staffEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  department: {
+    type: String
+  },
+  preferredWindow: {
+    start: Date,
+    end: Date
+  },
+  // Visitor's socket while their page stays open, so staff can call back over video
+  clientSocketId: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['open', 'claimed', 'completed', 'cancelled'],
+    default: 'open'
+  },
+  claimedBy: {
+    type: String
+  },
+  claimedAt: {
+    type: Date
+  },
+  // Outgoing Call record for the callback
+  callId: {
+    type: String
+  },
+  outcome: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+callbackRequestSchema.index({ status: 1, staffEmail: 1, department: 1 });
+
+callbackRequestSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+/**
+ * Sort key for the staff list, lower first: requests whose window has passed, then
+ * ones whose window is open now, then upcoming windows, then requests with no window.
+ * Within a group the earliest deadline (or oldest request) comes first.
+ */
+callbackRequestSchema.methods.priority = function(now = new Date()) {
+  const { start, end } = this.preferredWindow || {};
+  if (end && end < now) return [0, end.getTime()];
+  if (start && start <= now) return [1, (end || start).getTime()];
+  if (start) return [2, start.getTime()];
+  return [3, this.createdAt.getTime()];
+};
+
+callbackRequestSchema.statics.prioritize = function(requests, now = new Date()) {
+  return requests
+    .map(r => ({ r, key: r.priority(now) }))
+    .sort((a, b) => (a.key[0] - b.key[0]) || (a.key[1] - b.key[1]))
+    .map(({ r }) => r);
+};
+
+module.exports = mongoose.model('CallbackRequest', callbackRequestSchema);
@@ -101,6 +101,19 @@ const staffSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Hold calls instead of ringing during Teaching and Lab Session slots
+  autoDnd: {
+    type: Boolean,
+    default: true
+  },
+  // Secret in the iCalendar subscription URL; cleared to revoke the feed
+  calendarFeed: {
+    token: {
+      type: String,
+      index: { unique: true, sparse: true }
+    },
+    createdAt: Date
+  },
   maxCallsPerDay: {
     type: Number,
     default: 10
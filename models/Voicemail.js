@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Audio or video message a visitor recorded for a staff member who could not take the call
+const voicemailSchema = new mongoose.Schema({
+  staffEmail: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  callerName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contact: {
+    type: String,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: ['audio', 'video'],
+    default: 'video'
+  },
+  duration: {
+    type: Number // in seconds, as reported by the recorder
+  },
+  // Stored file name under uploads/voicemails
+  file: {
+    type: String,
+    required: true
+  },
+  mimeType: String,
+  size: Number,
+  // Why the visitor could not get through (offline, Teaching, daily limit...)
+  reason: String,
+  played: {
+    type: Boolean,
+    default: false
+  },
+  playedAt: Date,
+  // Callback request created when staff reply
+  callbackRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallbackRequest'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+voicemailSchema.index({ staffEmail: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Voicemail', voicemailSchema);
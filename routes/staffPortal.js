@@ -6,8 +6,19 @@ const { authenticateToken } = require('../middleware/auth');
 const Staff = require('../models/Staff');
 // Base models remain for schema reuse, but we'll write/read per-staff collections
 const StaffTimetable = require('../models/StaffTimetable');
-const StaffCallLog = require('../models/StaffCallLog');
-const { getStaffTimetableModel, getStaffCallLogModel, sanitize } = require('../services/staffCollections');
+const Call = require('../models/Call');
+const Appointment = require('../models/Appointment');
+const CallbackRequest = require('../models/CallbackRequest');
+const Voicemail = require('../models/Voicemail');
+const { voicemailPath } = require('../services/voicemails');
+const { ACTIVE_STATUSES, parseDay, appointmentTimeError, findClash, buildAppointment } = require('../services/appointments');
+const { notifyStaff } = require('../services/notifications');
+const { findFreeSlots } = require('../services/availability');
+const { issueQrCode, qrImage } = require('../services/appointmentQr');
+const { generateFeedToken, buildCalendar } = require('../services/calendarFeed');
+const { MAX_IMPORT_BYTES, upload: timetableUpload, parseTimetableFile, mergeEntries } = require('../services/timetableImport');
+const { getStaffTimetableModel, sanitize } = require('../services/staffCollections');
+const { staffCallsQuery } = require('../services/callLifecycle');
 const staffProfiles = require('../staff-profiles');
 
 const router = express.Router();
@@ -96,7 +107,7 @@ router.post('/auth/login', async (req, res) => {
     }
     if (!valid) return res.status(401).json({ error: 'Invalid credentials' });
 
-    const payload = { userId: staff._id.toString(), role: 'staff' };
+    const payload = { userId: staff._id.toString(), role: 'staff', email: staff.email };
     const token = jwt.sign(payload, process.env.JWT_SECRET || 'demo_secret', { expiresIn: process.env.JWT_EXPIRES_IN || '24h' });
 
     const username = staff.username || (staff.email.split('@')[0]);
@@ -153,6 +164,65 @@ async function ensureSelf(req, res, next) {
   }
 }
 
+// iCalendar subscription feed; calendar apps cannot send a JWT, so the secret token in the URL is the credential
+const CALENDAR_FEED_PAST_DAYS = 90;
+const calendarFeedPath = (token) => `/api/staff/calendar/${token}.ics`;
+
+router.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return res.status(503).json({ error: 'Database not connected' });
+    const token = String(req.params.token);
+    const staff = token && await Staff.findOne({ 'calendarFeed.token': token });
+    if (!staff) return res.status(404).json({ error: 'Calendar feed not found' });
+
+    const since = new Date();
+    since.setDate(since.getDate() - CALENDAR_FEED_PAST_DAYS);
+    since.setHours(0, 0, 0, 0);
+    const TT = getStaffTimetableModel(staff.username || staff.email.split('@')[0]);
+    const [timetable, appointments] = await Promise.all([
+      TT.findOne({ staffId: staff._id.toString(), isActive: true }).sort({ lastUpdated: -1 }),
+      Appointment.find({ staffId: staff._id, appointmentDate: { $gte: since } }).sort({ appointmentDate: 1 }).limit(1000)
+    ]);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="calendar.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(buildCalendar(staff, { timetable, appointments }));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+router.get('/:username/calendar-feed', authenticateToken, ensureSelf, (req, res) => {
+  const feed = req._staffDoc.calendarFeed || {};
+  res.json(feed.token ? { active: true, path: calendarFeedPath(feed.token), createdAt: feed.createdAt } : { active: false });
+});
+
+// Create the feed URL, or replace it so the previous one stops working
+router.post('/:username/calendar-feed', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const staff = req._staffDoc;
+    staff.calendarFeed = { token: generateFeedToken(), createdAt: new Date() };
+    await staff.save();
+    res.json({ active: true, path: calendarFeedPath(staff.calendarFeed.token), createdAt: staff.calendarFeed.createdAt });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+router.delete('/:username/calendar-feed', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const staff = req._staffDoc;
+    staff.calendarFeed = undefined;
+    await staff.save();
+    res.json({ active: false });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to revoke calendar feed' });
+  }
+});
+
 // Timetable CRUD
 router.get('/:username/timetable', authenticateToken, ensureSelf, async (req, res) => {
   try {
@@ -236,47 +306,448 @@ router.put('/:username/timetable', authenticateToken, ensureSelf, async (req, re
   }
 });
 
-// Call logs
+// Import a .ics or .csv file (multipart field "file"). With preview=true nothing is saved;
+// otherwise the valid entries replace the timetable (mode=replace) or are merged into it (mode=merge).
+router.post('/:username/timetable/import', authenticateToken, ensureSelf, (req, res) => {
+  timetableUpload.single('file')(req, res, async (err) => {
+    if (err) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge ? `File exceeds ${Math.round(MAX_IMPORT_BYTES / 1024)} KB` : 'Upload failed'
+      });
+    }
+    if (!req.file) return res.status(400).json({ error: 'Upload a .ics or .csv timetable file' });
+
+    try {
+      const mode = req.body.mode === 'merge' ? 'merge' : 'replace';
+      const { entries, errors } = parseTimetableFile(req.file.originalname, req.file.buffer.toString('utf8'));
+      if (req.body.preview === 'true') return res.json({ preview: true, mode, entries, errors });
+      if (!entries.length) return res.status(400).json({ error: 'No valid entries to import', errors });
+
+      const staffId = req._staffDoc._id.toString();
+      const TT = getStaffTimetableModel(req._username);
+      let tt = await TT.findOne({ staffId, isActive: true });
+      if (!tt) {
+        tt = new TT({ staffId, academicYear: '2024-25', semester: '1st Semester', entries: [] });
+      }
+      tt.entries = mode === 'merge' ? mergeEntries(tt.entries, entries) : entries;
+      tt.lastUpdated = new Date();
+      await tt.save();
+      res.json({ success: true, mode, imported: entries.length, errors, timetable: tt });
+    } catch (e) {
+      if (e.name === 'ValidationError') return res.status(400).json({ error: e.message });
+      res.status(500).json({ error: 'Failed to import timetable' });
+    }
+  });
+});
+
+// Call logs, read from the Call lifecycle records
 router.get('/:username/call-logs', authenticateToken, ensureSelf, async (req, res) => {
   try {
     const email = req._staffDoc.email;
     const page = Math.max(1, parseInt(req.query.page || '1', 10));
     const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10)));
     const skip = (page - 1) * limit;
-    const CL = getStaffCallLogModel(req._username);
-    const [items, total] = await Promise.all([
-      CL.find({ staffEmail: email }).sort({ createdAt: -1 }).skip(skip).limit(limit),
-      CL.countDocuments({ staffEmail: email })
+    const query = staffCallsQuery(email);
+    const [calls, total] = await Promise.all([
+      Call.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Call.countDocuments(query)
     ]);
-    res.json({ items, page, limit, total });
+    res.json({ items: calls.map(c => c.toCallLog()), page, limit, total });
   } catch (e) {
     res.status(500).json({ error: 'Failed to fetch call logs' });
   }
 });
 
+// Manually logged call (e.g. a phone call); recorded as an ended call
 router.post('/:username/call-logs', authenticateToken, ensureSelf, async (req, res) => {
   try {
-    const email = req._staffDoc.email;
-    const username = req._staffDoc.username || (email.split('@')[0]);
-    const CL = getStaffCallLogModel(req._username);
-    const doc = new CL({ ...req.body, staffEmail: email, staffUsername: username });
-    await doc.save();
-    res.json({ success: true, log: doc });
+    const { type = 'incoming', caller, callee, timestamp, duration = 0, notes, metadata } = req.body || {};
+    const outgoing = type === 'outgoing';
+    const call = Call.manualEntry({
+      direction: outgoing ? 'outgoing' : 'incoming',
+      clientName: outgoing ? callee : caller,
+      staffEmail: req._staffDoc.email,
+      staffName: req._staffDoc.name,
+      department: req._staffDoc.department,
+      notes,
+      metadata
+    }, { at: timestamp ? new Date(timestamp) : new Date(), duration });
+    await call.save();
+    res.json({ success: true, log: call.toCallLog() });
   } catch (e) {
     res.status(500).json({ error: 'Failed to create call log' });
   }
 });
 
+// Notes and metadata can be edited; status changes must follow the call lifecycle
 router.patch('/:username/call-logs/:id', authenticateToken, ensureSelf, async (req, res) => {
   try {
-    const email = req._staffDoc.email;
-    const CL = getStaffCallLogModel(req._username);
-    const updated = await CL.findOneAndUpdate({ _id: req.params.id, staffEmail: email }, { $set: req.body }, { new: true });
-    if (!updated) return res.status(404).json({ error: 'Log not found' });
-    res.json({ success: true, log: updated });
+    const { status, reason, notes, metadata } = req.body || {};
+    const call = await Call.findOne({ _id: req.params.id, staffEmail: req._staffDoc.email });
+    if (!call) return res.status(404).json({ error: 'Log not found' });
+    if (status && status !== call.status) {
+      try {
+        call.transitionTo(status, { reason });
+      } catch (err) {
+        if (err.code === 'INVALID_TRANSITION') return res.status(400).json({ error: err.message });
+        throw err;
+      }
+    }
+    if (notes !== undefined) call.notes = notes;
+    if (metadata) call.metadata = { ...(call.metadata || {}), ...metadata };
+    await call.save();
+    res.json({ success: true, log: call.toCallLog() });
   } catch (e) {
     res.status(500).json({ error: 'Failed to update call log' });
   }
 });
 
+// Post-call wrap-up: disposition, notes, follow-up flag and an optional linked appointment
+router.post('/:username/calls/:callId/wrap-up', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const { disposition, notes, followUpRequired, followUpDue, appointment } = req.body || {};
+    if (!Call.DISPOSITIONS.includes(disposition)) {
+      return res.status(400).json({ error: `disposition must be one of: ${Call.DISPOSITIONS.join(', ')}` });
+    }
+    const dueAt = followUpDue ? new Date(followUpDue) : undefined;
+    if (dueAt && isNaN(dueAt.getTime())) return res.status(400).json({ error: 'followUpDue must be a valid date' });
+    const timeError = appointment && appointmentTimeError(appointment);
+    if (timeError) return res.status(400).json({ error: timeError });
+
+    const staff = req._staffDoc;
+    const call = await Call.findOne({ callId: req.params.callId, staffEmail: staff.email });
+    if (!call) return res.status(404).json({ error: 'Call not found' });
+
+    let booked = null;
+    if (appointment) {
+      if (await findClash(staff._id, appointment)) return res.status(409).json({ error: 'You already have an appointment at that time' });
+      booked = buildAppointment(staff, {
+        ...appointment,
+        clientName: call.clientName || 'Visitor',
+        purpose: appointment.purpose || call.purpose || 'Follow-up from call',
+        videoCallDetails: { callId: call.callId, startTime: call.startTime, endTime: call.endTime, duration: call.duration }
+      });
+      await booked.save();
+      notifyStaff(req.app, staff.email, 'new-appointment', { appointment: booked.toObject() });
+    }
+
+    call.updates.push({
+      notes,
+      disposition,
+      followUpRequired: !!followUpRequired,
+      appointmentId: booked ? booked._id : undefined,
+      updatedBy: staff._id
+    });
+    if (followUpRequired) {
+      call.followUp = { open: true, dueAt };
+    }
+    await call.save();
+    res.json({ success: true, log: call.toCallLog(), appointment: booked });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to save call wrap-up' });
+  }
+});
+
+// Calls with an open follow-up, soonest due first
+router.get('/:username/follow-ups', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const calls = await Call.find({ staffEmail: req._staffDoc.email, 'followUp.open': true })
+      .sort({ 'followUp.dueAt': 1, createdAt: 1 })
+      .limit(100);
+    res.json({ items: calls.map(c => c.toCallLog()) });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to fetch follow-ups' });
+  }
+});
+
+router.post('/:username/follow-ups/:id/resolve', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const call = await Call.findOne({ _id: req.params.id, staffEmail: req._staffDoc.email, 'followUp.open': true });
+    if (!call) return res.status(404).json({ error: 'Follow-up not found' });
+    call.followUp = { ...call.followUp.toObject(), open: false, resolvedAt: new Date(), resolution: (req.body || {}).resolution };
+    await call.save();
+    res.json({ success: true, log: call.toCallLog() });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to resolve follow-up' });
+  }
+});
+
+// Visitor callback requests this staff member can take, most urgent first, plus the ones they claimed
+router.get('/:username/callback-requests', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const staff = req._staffDoc;
+    const requests = await CallbackRequest.find({
+      $or: [
+        { status: 'open', staffEmail: staff.email },
+        { status: 'open', staffEmail: null, department: staff.department },
+        { status: 'claimed', claimedBy: staff.email }
+      ]
+    }).limit(200);
+    res.json({ items: CallbackRequest.prioritize(requests) });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to fetch callback requests' });
+  }
+});
+
+// Outcome of a claimed callback made by phone; recorded as an outgoing call
+router.post('/:username/callback-requests/:id/complete', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const staff = req._staffDoc;
+    const { reached = true, duration = 0, notes } = req.body || {};
+    const request = await CallbackRequest.findOne({ _id: req.params.id, status: 'claimed', claimedBy: staff.email });
+    if (!request) return res.status(404).json({ error: 'Callback request not found' });
+
+    const call = Call.manualEntry({
+      direction: 'outgoing',
+      clientName: request.name,
+      purpose: request.purpose,
+      staffEmail: staff.email,
+      staffName: staff.name,
+      department: staff.department,
+      notes,
+      metadata: { callbackRequestId: String(request._id), contact: request.contact }
+    }, { duration, reached: !!reached, reason: reached ? 'callback' : 'no-answer' });
+    await call.save();
+
+    // Unreached visitors go back on the list for another try
+    if (reached) {
+      request.status = 'completed';
+      request.outcome = 'phoned';
+    } else {
+      request.status = 'open';
+      request.claimedBy = undefined;
+      request.claimedAt = undefined;
+      request.outcome = 'no-answer';
+    }
+    await request.save();
+    res.json({ success: true, request, log: call.toCallLog() });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to complete callback request' });
+  }
+});
+
+// Voicemail inbox, newest first
+router.get('/:username/voicemails', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const email = req._staffDoc.email;
+    const [items, unplayed] = await Promise.all([
+      Voicemail.find({ staffEmail: email }).sort({ createdAt: -1 }).limit(100),
+      Voicemail.countDocuments({ staffEmail: email, played: false })
+    ]);
+    res.json({ items, unplayed });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to fetch voicemails' });
+  }
+});
+
+router.get('/:username/voicemails/:id/media', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const voicemail = await Voicemail.findOne({ _id: req.params.id, staffEmail: req._staffDoc.email });
+    if (!voicemail) return res.status(404).json({ error: 'Voicemail not found' });
+    res.type(voicemail.mimeType.split(';')[0]);
+    res.sendFile(voicemailPath(voicemail.file));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load voicemail' });
+  }
+});
+
+// Mark played or unplayed
+router.patch('/:username/voicemails/:id', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const played = !!(req.body || {}).played;
+    const voicemail = await Voicemail.findOneAndUpdate(
+      { _id: req.params.id, staffEmail: req._staffDoc.email },
+      { played, playedAt: played ? new Date() : null },
+      { new: true }
+    );
+    if (!voicemail) return res.status(404).json({ error: 'Voicemail not found' });
+    res.json({ success: true, voicemail });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to update voicemail' });
+  }
+});
+
+// Reply by callback: a callback request already claimed by this staff member
+router.post('/:username/voicemails/:id/callback', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const staff = req._staffDoc;
+    const voicemail = await Voicemail.findOne({ _id: req.params.id, staffEmail: staff.email });
+    if (!voicemail) return res.status(404).json({ error: 'Voicemail not found' });
+    if (!voicemail.contact) return res.status(400).json({ error: 'The caller left no contact details' });
+    if (voicemail.callbackRequestId) return res.status(409).json({ error: 'A callback is already scheduled' });
+
+    const request = new CallbackRequest({
+      name: voicemail.callerName,
+      contact: voicemail.contact,
+      purpose: voicemail.purpose,
+      staffEmail: staff.email,
+      department: staff.department,
+      status: 'claimed',
+      claimedBy: staff.email,
+      claimedAt: new Date()
+    });
+    await request.save();
+    voicemail.callbackRequestId = request._id;
+    voicemail.played = true;
+    voicemail.playedAt = voicemail.playedAt || new Date();
+    await voicemail.save();
+    res.json({ success: true, request, voicemail });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to schedule callback' });
+  }
+});
+
+// Appointments
+const APPOINTMENT_FIELDS = ['clientName', 'clientEmail', 'clientPhone', 'purpose', 'appointmentType', 'location', 'staffNotes'];
+
+// Own bookable slots, e.g. to pick a time for a new appointment
+router.get('/:username/availability', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const duration = Math.min(240, Math.max(5, parseInt(req.query.duration, 10) || 30));
+    const step = Math.min(120, Math.max(5, parseInt(req.query.step, 10) || 15));
+    const days = await findFreeSlots(req._staffDoc, { from: req.query.from, to: req.query.to, duration, step });
+    res.json({ duration, days });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to compute availability' });
+  }
+});
+
+// List, optionally filtered by ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive) and ?status=
+router.get('/:username/appointments', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const query = { staffId: req._staffDoc._id };
+    const from = parseDay(req.query.from);
+    const to = parseDay(req.query.to);
+    if (from || to) {
+      query.appointmentDate = {};
+      if (from) query.appointmentDate.$gte = from;
+      if (to) query.appointmentDate.$lte = to;
+    }
+    if (req.query.status) query.status = { $in: String(req.query.status).split(',') };
+    const items = await Appointment.find(query)
+      .sort({ appointmentDate: 1, 'appointmentTime.start': 1 })
+      .limit(Math.min(500, parseInt(req.query.limit || '200', 10) || 200));
+    res.json({ items });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to fetch appointments' });
+  }
+});
+
+router.post('/:username/appointments', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const timeError = appointmentTimeError(body);
+    if (timeError) return res.status(400).json({ error: timeError });
+    if (!body.clientName || !body.purpose) return res.status(400).json({ error: 'Client name and purpose are required' });
+    if (body.status && !['Pending', 'Confirmed'].includes(body.status)) {
+      return res.status(400).json({ error: 'New appointments are Pending or Confirmed' });
+    }
+
+    const staff = req._staffDoc;
+    if (await findClash(staff._id, body)) return res.status(409).json({ error: 'You already have an appointment at that time' });
+    const appointment = buildAppointment(staff, body);
+    await appointment.save();
+    notifyStaff(req.app, staff.email, 'new-appointment', { appointment: appointment.toObject() });
+    res.status(201).json({ success: true, appointment });
+  } catch (e) {
+    if (e.name === 'ValidationError') return res.status(400).json({ error: e.message });
+    res.status(500).json({ error: 'Failed to create appointment' });
+  }
+});
+
+// Edit details or reschedule; cancelled and completed appointments are final
+router.patch('/:username/appointments/:id', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const staff = req._staffDoc;
+    const appointment = await Appointment.findOne({ _id: req.params.id, staffId: staff._id });
+    if (!appointment) return res.status(404).json({ error: 'Appointment not found' });
+    if (!['Pending', 'Confirmed'].includes(appointment.status)) {
+      return res.status(409).json({ error: `A ${appointment.status.toLowerCase()} appointment cannot be changed` });
+    }
+    if (body.status && !['Pending', 'Confirmed'].includes(body.status)) {
+      return res.status(400).json({ error: 'Use cancel or complete to close an appointment' });
+    }
+
+    if (body.date || body.start || body.end) {
+      const range = {
+        date: body.date || appointment.appointmentDate,
+        start: body.start || appointment.appointmentTime.start,
+        end: body.end || appointment.appointmentTime.end
+      };
+      const timeError = appointmentTimeError(range);
+      if (timeError) return res.status(400).json({ error: timeError });
+      if (await findClash(staff._id, range, appointment._id)) {
+        return res.status(409).json({ error: 'You already have an appointment at that time' });
+      }
+      const { appointmentDate, appointmentTime, duration } = buildAppointment(staff, range);
+      Object.assign(appointment, { appointmentDate, appointmentTime, duration });
+      issueQrCode(appointment); // the old code no longer matches
+    }
+    APPOINTMENT_FIELDS.forEach(field => {
+      if (body[field] !== undefined) appointment[field] = body[field];
+    });
+    if (body.status) appointment.status = body.status;
+    await appointment.save();
+    res.json({ success: true, appointment });
+  } catch (e) {
+    if (e.name === 'ValidationError') return res.status(400).json({ error: e.message });
+    res.status(500).json({ error: 'Failed to update appointment' });
+  }
+});
+
+// Check-in QR code to hand to the visitor; issued on demand for appointments that predate signed codes
+router.get('/:username/appointments/:id/qr', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({ _id: req.params.id, staffId: req._staffDoc._id });
+    if (!appointment) return res.status(404).json({ error: 'Appointment not found' });
+    if (!['Pending', 'Confirmed'].includes(appointment.status)) {
+      return res.status(409).json({ error: `A ${appointment.status.toLowerCase()} appointment has no check-in code` });
+    }
+    if (!appointment.qrCode || !appointment.qrCode.data) {
+      issueQrCode(appointment);
+      await appointment.save();
+    }
+    res.json({ code: appointment.qrCode.data, image: await qrImage(appointment.qrCode.data) });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to generate QR code' });
+  }
+});
+
+router.post('/:username/appointments/:id/cancel', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const appointment = await Appointment.findOneAndUpdate(
+      { _id: req.params.id, staffId: req._staffDoc._id, status: { $in: ['Pending', 'Confirmed'] } },
+      {
+        status: 'Cancelled',
+        cancellationReason: (req.body || {}).reason,
+        cancelledBy: 'Staff',
+        cancelledAt: new Date(),
+        updatedAt: new Date()
+      },
+      { new: true }
+    );
+    if (!appointment) return res.status(404).json({ error: 'No open appointment found' });
+    res.json({ success: true, appointment });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to cancel appointment' });
+  }
+});
+
+router.post('/:username/appointments/:id/complete', authenticateToken, ensureSelf, async (req, res) => {
+  try {
+    const { notes } = req.body || {};
+    const appointment = await Appointment.findOneAndUpdate(
+      { _id: req.params.id, staffId: req._staffDoc._id, status: { $in: ACTIVE_STATUSES } },
+      { status: 'Completed', ...(notes ? { staffNotes: notes } : {}), updatedAt: new Date() },
+      { new: true }
+    );
+    if (!appointment) return res.status(404).json({ error: 'No open appointment found' });
+    res.json({ success: true, appointment });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to complete appointment' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+require('dotenv').config();
+
+// One-off copy of the former StaffCallLog history into the Call model.
+// Reads the global `staffcalllogs` collection and every per-staff `calllog_<username>`
+// collection; safe to run more than once (already migrated entries are skipped).
+
+const LEGACY_COLLECTION = 'staffcalllogs';
+const PER_STAFF_PREFIX = 'calllog_';
+
+// Legacy log entry -> Call document with the equivalent lifecycle
+function toCall(log) {
+  const at = new Date(log.timestamp || log.createdAt || Date.now());
+  const outgoing = log.type === 'outgoing';
+  const call = new Call({
+    callId: log.callId,
+    staffEmail: log.staffEmail,
+    staffName: outgoing ? log.caller : log.callee,
+    clientName: outgoing ? log.callee : log.caller,
+    direction: outgoing ? 'outgoing' : 'incoming',
+    callType: log.metadata && log.metadata.mode === 'audio' ? 'audio' : 'video',
+    purpose: log.metadata && log.metadata.purpose,
+    metadata: {
+      ...(log.metadata || {}),
+      migratedFrom: 'StaffCallLog',
+      legacyLogId: String(log._id),
+      staffUsername: log.staffUsername
+    },
+    statusHistory: [{ status: 'requested', at }],
+    createdAt: at
+  });
+  if (log.status === 'missed' || log.status === 'rejected') {
+    return call.transitionTo(log.status, { reason: 'migrated', at });
+  }
+  // 'completed' and stale 'in-progress' entries were answered calls
+  call.transitionTo('accepted', { at });
+  return call.transitionTo('ended', {
+    reason: 'migrated',
+    at: new Date(at.getTime() + (Number(log.duration) || 0) * 1000)
+  });
+}
+
+async function migrateCallLogs() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/clara-ai');
+    console.log('✅ Connected to MongoDB');
+
+    const db = mongoose.connection.db;
+    const names = (await db.listCollections({}, { nameOnly: true }).toArray())
+      .map(c => c.name)
+      .filter(name => name === LEGACY_COLLECTION || name.startsWith(PER_STAFF_PREFIX))
+      .sort();
+    if (!names.length) {
+      console.log('ℹ️ No legacy call log collections found, nothing to migrate');
+      return;
+    }
+
+    // The same entry was written to both the global and the per-staff collection
+    const logs = new Map();
+    for (const name of names) {
+      const docs = await db.collection(name).find({}).toArray();
+      console.log(`📋 ${name}: ${docs.length} entries`);
+      docs.forEach(log => {
+        if (!log.staffEmail) return;
+        const key = `${log.staffEmail}|${log.callId || log._id}`;
+        if (!logs.has(key)) logs.set(key, log);
+      });
+    }
+
+    let created = 0;
+    let skipped = 0;
+    let failed = 0;
+    for (const log of logs.values()) {
+      // Already migrated, or recorded by the Call lifecycle itself
+      const matches = [{ 'metadata.legacyLogId': String(log._id) }];
+      if (log.callId) matches.push({ callId: log.callId }, { requestId: log.callId });
+      const exists = await Call.exists({ staffEmail: log.staffEmail, $or: matches });
+      if (exists) {
+        skipped++;
+        continue;
+      }
+      try {
+        // callId is unique on Call; a legacy id already used by another staff member's leg is kept in metadata only
+        const call = toCall(log);
+        if (call.callId && await Call.exists({ callId: call.callId })) {
+          call.metadata = { ...call.metadata, legacyCallId: call.callId };
+          call.callId = undefined;
+        }
+        await call.save();
+        created++;
+      } catch (error) {
+        failed++;
+        console.error(`❌ Could not migrate ${log.callId || log._id} (${log.staffEmail}):`, error.message);
+      }
+    }
+
+    console.log(`\n🎉 Call log migration completed: ${created} created, ${skipped} already present, ${failed} failed`);
+    console.log(`ℹ️ The legacy collections (${names.join(', ')}) were left untouched; drop them once the history is verified`);
+  } catch (error) {
+    console.error('❌ Error:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+// Run the script
+migrateCallLogs();
@@ -21,6 +21,7 @@ const Call = require('./models/Call');
 
 // Import services
 const ClaraAI = require('./services/claraAI');
+const { issueQrCode, qrImage } = require('./services/appointmentQr');
 
 const app = express();
 const server = http.createServer(app);
@@ -419,13 +420,8 @@ io.on('connection', (socket) => {
           location: appointment.location || 'Office'
         };
         
-        const qrCodeData = JSON.stringify(qrData);
-        
-        // Update appointment with QR code
-        appointment.qrCode = {
-          data: qrCodeData,
-          generatedAt: new Date()
-        };
+        // Signed check-in code, verified by POST /api/appointments/check-in
+        const qrCodeData = issueQrCode(appointment);
         await appointment.save();
         
         // Send QR code to client
@@ -433,6 +429,7 @@ io.on('connection', (socket) => {
           io.to(clientSocketId).emit('qr_code_generated', {
             appointmentId: appointmentId,
             qrCodeData: qrCodeData,
+            qrImage: await qrImage(qrCodeData),
             appointmentDetails: qrData
           });
         }
@@ -6,6 +6,7 @@ const jwt = require('jsonwebtoken');
 const http = require('http');
 const socketIo = require('socket.io');
 const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
@@ -27,8 +28,38 @@ process.on('unhandledRejection', (reason, promise) => {
 const Staff = require('./models/Staff');
 const StaffTimetable = require('./models/StaffTimetable');
 const Call = require('./models/Call');
-const StaffCallLog = require('./models/StaffCallLog');
-const { getStaffCallLogModel } = require('./services/staffCollections');
+const CallbackRequest = require('./models/CallbackRequest');
+const Voicemail = require('./models/Voicemail');
+const Appointment = require('./models/Appointment');
+const { openCall, advanceCall, markRinging } = require('./services/callLifecycle');
+const { createCallQueue, estimateWaitSeconds } = require('./services/callQueue');
+const { routeCall, canRing, recordAcceptedCall, dndStatusFor, unavailableReason } = require('./services/callRouter');
+const { createMediaRelay } = require('./services/mediaRelay');
+const { createStateStore } = require('./services/stateStore');
+
+const { iceServersFor } = require('./services/iceServers');
+const { MAX_SAMPLES_PER_CALL, toSample, keepSample, summarizeQuality } = require('./services/callQuality');
+const { createCallList } = require('./services/callLists');
+const {
+  MAX_ATTACHMENT_BYTES,
+  issueAttachmentToken,
+  verifyAttachmentToken,
+  upload: attachmentUpload,
+  attachmentRef,
+  findAttachment,
+  removeAttachmentFile
+} = require('./services/callAttachments');
+const {
+  MAX_VOICEMAIL_BYTES,
+  MAX_VOICEMAIL_SECONDS,
+  upload: voicemailUpload,
+  removeVoicemailFile
+} = require('./services/voicemails');
+const { staffRoom } = require('./services/notifications');
+const { findFreeSlots } = require('./services/availability');
+const { verifyQrCode, qrImage } = require('./services/appointmentQr');
+const { toMinutes, normalizeTime, appointmentTimeError, findClash, buildAppointment } = require('./services/appointments');
+const { authenticateToken, authenticateSocket } = require('./middleware/auth');
 
 // Import staff portal routes
 const staffPortalRoutes = require('./routes/staffPortal');
@@ -44,8 +75,16 @@ const io = socketIo(server, {
     methods: ["GET", "POST"]
   }
 });
+// REST handlers reach staff sockets through req.app.get('io')
+app.set('io', io);
 
 const PORT = process.env.PORT || 3000;
+// How long an incoming call rings before it is withdrawn and logged as missed
+const RING_TIMEOUT_MS = (parseInt(process.env.CALL_RING_TIMEOUT_SECONDS, 10) || 30) * 1000;
+// How long a call survives a staff disconnect before it is ended
+const RECONNECT_GRACE_MS = (parseInt(process.env.CALL_RECONNECT_GRACE_SECONDS, 10) || 30) * 1000;
+// Chat messages kept per call
+const CHAT_HISTORY_LIMIT = 500;
 
 // Static middleware
 app.use(express.static(path.join(__dirname, 'public')));
@@ -65,10 +104,343 @@ mongoose.connect(MONGODB_URI)
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Socket.IO State Management (Staff only)
-const staffSessions = new Map(); // staffId -> socketId
-const staffEmailSessions = new Map(); // email -> socketId
-const connectedUsers = new Map(); // socketId -> { name, email, type }
-const activeCalls = new Map(); // callId -> { staffSocketId, clientSocketId, startTime }
+// Shared state lives in the state store (memory, or Redis when running several instances);
+// after changing a stored object in place, set() it again so other instances see the change.
+const stateStore = createStateStore();
+const staffSessions = stateStore.map('staffSessions'); // staffId -> socketId
+const staffEmailSessions = stateStore.map('staffEmailSessions'); // email -> [socketIds] (one per tab/device)
+const connectedUsers = stateStore.map('connectedUsers'); // socketId -> { name, email, department, type }
+const activeCalls = stateStore.map('activeCalls'); // callId -> { staffSocketId, clientSocketId, participants, startTime }
+const callQueue = createCallQueue(stateStore.map('callQueue')); // waiting visitor requests per staff member / department
+const missedRequests = stateStore.map('missedRequests'); // requestId -> { clientSocketId, clientName, purpose, staffEmails } for callbacks
+const pendingInvites = stateStore.map('pendingInvites'); // inviteId -> { callId, targetEmail, fromSocketId }
+const pendingTransfers = stateStore.map('pendingTransfers'); // transferId -> callId, until answered, declined or timed out
+// Chat and quality samples grow during a call, so they are stored per item rather than in activeCalls
+const callChat = createCallList(stateStore.map('callChat'), { limit: CHAT_HISTORY_LIMIT });
+const callSamples = createCallList(stateStore.map('callSamples'), { limit: MAX_SAMPLES_PER_CALL });
+// Timers stay with the instance that set them; their handlers re-check the shared state
+const ringTimers = new Map(); // requestId -> ring timeout handle
+const inviteTimers = new Map(); // inviteId -> invitation timeout handle
+const dndTimers = new Map(); // staff email -> wake-up handle for when do-not-disturb lifts
+const mediaRelay = createMediaRelay(io);
+
+// Each call gets its own Socket.IO room holding only its staff and client sockets
+const callRoom = (callId) => `call:${callId}`;
+
+// Socket payloads come straight from clients: anything but an object counts as empty
+const payloadOf = (data) => (data && typeof data === 'object' ? data : {});
+
+// True when the socket has joined the room of an active call
+const isCallMember = (socket, callId) => Boolean(callId) && activeCalls.has(callId) && socket.rooms.has(callRoom(callId));
+
+function closeCallRoom(callId) {
+  io.in(callRoom(callId)).socketsLeave(callRoom(callId));
+}
+
+// Registered staff sockets, optionally limited to one department
+function onlineStaff(department) {
+  return Array.from(connectedUsers.entries())
+    .filter(([, user]) => user.type === 'staff' && (!department || user.department === department))
+    .map(([socketId, user]) => ({ socketId, ...user }));
+}
+
+// Every socket a staff member is signed in on
+const staffSockets = (email) => staffEmailSessions.get(email) || [];
+
+function addStaffSocket(email, socketId) {
+  const sockets = staffSockets(email);
+  if (!sockets.includes(socketId)) staffEmailSessions.set(email, sockets.concat(socketId));
+}
+
+// Returns true when this was the staff member's last connected device
+function removeStaffSocket(email, socketId) {
+  const sockets = staffSockets(email);
+  if (!sockets.includes(socketId)) return false;
+  const remaining = sockets.filter(id => id !== socketId);
+  if (remaining.length > 0) {
+    staffEmailSessions.set(email, remaining);
+    return false;
+  }
+  staffEmailSessions.delete(email);
+  return true;
+}
+
+// Close an offer (request, transfer, invitation) on the devices that did not answer it:
+// the same staff member's other devices see 'answered-elsewhere', colleagues 'answered'
+function closeOfferElsewhere(sockets, answeringSocket, event, payload) {
+  const email = answeringSocket.data.staff && answeringSocket.data.staff.email;
+  sockets
+    .filter(s => s.socketId !== answeringSocket.id)
+    .forEach(s => io.to(s.socketId).emit(event, { ...payload, reason: s.email === email ? 'answered-elsewhere' : 'answered' }));
+}
+
+const isStaffInCall = (email) => Array.from(activeCalls.values())
+  .some(c => c.staffEmail === email || (c.participants || []).some(p => p.email === email));
+
+// Everyone in a call: the handling staff member, the visitor and any invited colleagues
+function callParticipants({ staffSocketId, staffEmail, staffName, clientSocketId, clientName }) {
+  return [
+    { socketId: staffSocketId, role: 'staff', email: staffEmail, name: staffName },
+    { socketId: clientSocketId, role: 'client', name: clientName }
+  ];
+}
+
+function removeParticipant(callId, socketId) {
+  const callSession = activeCalls.get(callId);
+  if (!callSession) return;
+  const participant = callSession.participants.find(p => p.socketId === socketId);
+  if (!participant) return;
+  callSession.participants = callSession.participants.filter(p => p.socketId !== socketId);
+  activeCalls.set(callId, callSession);
+  io.in(socketId).socketsLeave(callRoom(callId));
+  mediaRelay.participantLeft(callId, participant);
+  io.to(callRoom(callId)).emit('participant-left', { callId, socketId, name: participant.name });
+}
+
+// Bring a staff socket into an ongoing call as a guest (an invited colleague, or a warm
+// transfer target consulting before the handover). Existing participants wait for offers;
+// the newcomer sends one to each of them.
+function addGuest(socket, callId, callSession, { consult = false } = {}) {
+  const { email, name } = socket.data.staff;
+  const participant = { socketId: socket.id, role: 'guest', email, name, ...(consult ? { consult: true } : {}) };
+  const existing = callSession.participants.slice();
+  callSession.participants.push(participant);
+  activeCalls.set(callId, callSession);
+  socket.join(callRoom(callId));
+  mediaRelay.participantJoined(callId, participant);
+
+  socket.to(callRoom(callId)).emit('participant-joined', { callId, participant });
+  socket.emit('start-call', {
+    callId,
+    clientName: callSession.clientName,
+    mode: callSession.mode,
+    participants: existing,
+    multiParty: true,
+    consult
+  });
+}
+
+// Staff sockets that may pick up a queued request
+function staffForRequest(entry) {
+  if (entry.staffEmail) return onlineStaff().filter(s => s.email === entry.staffEmail);
+  return onlineStaff(entry.department);
+}
+
+function toIncomingCall(entry) {
+  return {
+    requestId: entry.requestId,
+    clientId: entry.clientSocketId,
+    clientName: entry.clientName,
+    staffEmail: entry.staffEmail,
+    department: entry.department,
+    routedFrom: entry.routedFrom,
+    purpose: entry.purpose,
+    mode: entry.mode
+  };
+}
+
+// 'audio' or 'video' (the default), matching Call.callType
+const callMode = (mode) => (mode === 'audio' ? 'audio' : 'video');
+
+// Send a staff socket the requests waiting for them and their department
+function sendWaitingCalls(socketId) {
+  const user = connectedUsers.get(socketId);
+  if (!user || user.type !== 'staff') return;
+  const calls = callQueue.forStaff(user.email, user.department).map(entry => ({
+    ...toIncomingCall(entry),
+    position: callQueue.position(entry.requestId),
+    waitingSince: entry.enqueuedAt
+  }));
+  io.to(socketId).emit('waiting-calls', { count: calls.length, calls });
+}
+
+// Refresh positions/wait estimates for visitors in the entry's line and the staff who can serve it
+async function publishQueueLine(entry) {
+  const staff = staffForRequest(entry);
+  staff.forEach(s => sendWaitingCalls(s.socketId));
+
+  const line = callQueue.line(entry.line);
+  const busy = Boolean(entry.staffEmail) && isStaffInCall(entry.staffEmail);
+  const servers = entry.staffEmail ? 1 : staff.filter(s => !isStaffInCall(s.email)).length;
+  for (let i = 0; i < line.length; i++) {
+    const waiting = line[i];
+    const estimatedWaitSeconds = await estimateWaitSeconds(waiting, i + 1, { busy, servers });
+    io.to(waiting.clientSocketId).emit('queue-update', {
+      requestId: waiting.requestId,
+      position: i + 1,
+      estimatedWaitSeconds
+    });
+  }
+}
+
+// Pop the incoming-call modal on every idle, available staff socket that can take the request;
+// the ring timeout also runs when everyone is blocked and nothing will ring the request later
+async function ringStaff(entry) {
+  const rung = [];
+  // held: someone is blocked with nothing to wake the request (meeting, daily limit, unavailable)
+  // waiting: someone will ring it later (in a call, or in a class that ends)
+  let held = false;
+  let waiting = false;
+  for (const s of staffForRequest(entry)) {
+    if (isStaffInCall(s.email)) {
+      waiting = true;
+      continue;
+    }
+    if (!(await canRing(s.email))) {
+      if (await scheduleDndWake(s.email, s.department)) waiting = true;
+      else held = true;
+      continue;
+    }
+    io.to(s.socketId).emit('incoming-call', toIncomingCall(entry));
+    entry.rungStaff = Array.from(new Set([...(entry.rungStaff || []), s.email]));
+    callQueue.update(entry);
+    rung.push(s.email);
+  }
+  await markRinging(entry.requestId, Array.from(new Set(rung)));
+  const ringing = entry.rungStaff && entry.rungStaff.length > 0;
+  if ((ringing || (held && !waiting)) && !ringTimers.has(entry.requestId)) {
+    ringTimers.set(entry.requestId, setTimeout(() => {
+      handleRingTimeout(entry.requestId).catch(err => console.error('Ring timeout handling failed:', err));
+    }, RING_TIMEOUT_MS));
+  }
+}
+
+function clearRingTimer(requestId) {
+  clearTimeout(ringTimers.get(requestId));
+  ringTimers.delete(requestId);
+}
+
+// Staff who can see a callback request refresh their list
+function notifyCallbackStaff(request) {
+  const staff = request.staffEmail
+    ? onlineStaff().filter(s => s.email === request.staffEmail)
+    : onlineStaff(request.department);
+  staff.forEach(s => io.to(s.socketId).emit('callback-requests-changed', { id: request._id, status: request.status }));
+}
+
+/**
+ * Staff-initiated video call to a connected visitor (missed-call and callback-request
+ * callbacks). The visitor joins exactly as if the staff member had accepted their request.
+ */
+async function startOutgoingCall(socket, staffUser, { clientSocketId, clientName, purpose, mode, notify = {}, metadata = {} }) {
+  const callId = `call_${Date.now()}_${uuidv4()}`;
+  const callSession = {
+    type: 'outgoing',
+    staffSocketId: socket.id,
+    clientSocketId,
+    clientName,
+    staffEmail: staffUser.email,
+    staffName: staffUser.name || 'Staff',
+    mode: callMode(mode),
+    startTime: new Date()
+  };
+  callSession.participants = callParticipants(callSession);
+  activeCalls.set(callId, callSession);
+  io.in([socket.id, clientSocketId]).socketsJoin(callRoom(callId));
+
+  socket.to(callRoom(callId)).emit('call-accepted-by-staff', {
+    callId,
+    staffName: callSession.staffName,
+    mode: callSession.mode,
+    callback: true,
+    ...notify
+  });
+  socket.emit('start-call', {
+    callId,
+    clientName,
+    mode: callSession.mode,
+    participants: callSession.participants.filter(p => p.socketId !== socket.id)
+  });
+  await openCall({
+    callId,
+    direction: 'outgoing',
+    clientName,
+    purpose,
+    staffEmail: staffUser.email,
+    staffName: callSession.staffName,
+    department: staffUser.department,
+    callType: callSession.mode,
+    metadata
+  }, { status: 'accepted', reason: 'callback' });
+  return callId;
+}
+
+// Requests held during a class ring once the class is over; false when no class is holding them
+async function scheduleDndWake(email, department) {
+  if (dndTimers.has(email)) return true;
+  const dnd = await dndStatusFor(email);
+  if (!dnd) return false;
+  if (dndTimers.has(email)) return true;
+  dndTimers.set(email, setTimeout(async () => {
+    dndTimers.delete(email);
+    try {
+      await sendDndStatus(email);
+      if (!isStaffInCall(email)) await ringNextWaiting(email, department);
+    } catch (err) {
+      console.error('DND wake-up failed:', err);
+    }
+  }, Math.max(0, dnd.until - Date.now()) + 1000));
+  return true;
+}
+
+// Tell every device of a staff member whether calls are currently held and until when
+async function sendDndStatus(email) {
+  const staff = isDbConnected() ? await Staff.findOne({ email }).select('autoDnd').lean() : null;
+  const dnd = await dndStatusFor(email);
+  io.to(staffSockets(email)).emit('dnd-status', {
+    autoDnd: !staff || staff.autoDnd !== false,
+    active: !!dnd,
+    ...(dnd || {})
+  });
+}
+
+function clearInviteTimer(inviteId) {
+  clearTimeout(inviteTimers.get(inviteId));
+  inviteTimers.delete(inviteId);
+}
+
+// Page where the visitor can leave a message instead; only for requests to one staff member
+const voicemailUrl = (staffEmail) => (staffEmail ? `/voicemail?staff=${encodeURIComponent(staffEmail)}` : undefined);
+
+// Nobody answered in time: withdraw the request, tell the visitor and log a missed call
+async function handleRingTimeout(requestId) {
+  ringTimers.delete(requestId);
+  const entry = await callQueue.claim(requestId);
+  if (!entry) return; // answered or cancelled meanwhile
+
+  // A request nobody could be rung for is missed by everyone it was waiting for
+  const staffEmails = entry.rungStaff && entry.rungStaff.length
+    ? entry.rungStaff
+    : staffForRequest(entry).map(s => s.email);
+  missedRequests.set(requestId, {
+    clientSocketId: entry.clientSocketId,
+    clientName: entry.clientName,
+    purpose: entry.purpose,
+    mode: entry.mode,
+    staffEmails
+  });
+
+  staffForRequest(entry).forEach(s => io.to(s.socketId).emit('call-withdrawn', {
+    requestId,
+    clientName: entry.clientName,
+    reason: 'timeout'
+  }));
+  io.to(entry.clientSocketId).emit('call-missed', {
+    requestId,
+    message: 'No one was able to answer your call. Staff can call you back.',
+    voicemailUrl: voicemailUrl(entry.staffEmail)
+  });
+
+  await advanceCall({ requestId }, 'missed', { reason: 'ring-timeout', set: { rungStaff: staffEmails } });
+  await publishQueueLine(entry);
+}
+
+// Offer a newly idle staff member the oldest request they can take
+async function ringNextWaiting(email, department) {
+  const [next] = callQueue.forStaff(email, department)
+    .sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+  if (next) await ringStaff(next);
+}
 
 // API Routes - Staff portal only
 app.use('/api/staff', staffPortalRoutes);
@@ -86,6 +458,16 @@ app.get('/staff-interface', (req, res) => {
   res.sendFile(__dirname + '/public/staff-interface.html');
 });
 
+// Visitors record a message for a staff member who could not take their call
+app.get('/voicemail', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'voicemail.html'));
+});
+
+// Front-desk scanner for appointment QR codes
+app.get('/check-in', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'check-in.html'));
+});
+
 app.get('/staff-interface/:username', (req, res) => {
   res.sendFile(__dirname + '/public/staff-interface.html');
 });
@@ -100,179 +482,1234 @@ app.get('/api/health', async (req, res) => {
   });
 });
 
+// STUN/TURN servers for staff peer connections, with short-lived TURN credentials
+app.get('/api/webrtc/ice-servers', authenticateToken, (req, res) => {
+  res.json(iceServersFor(req.user.email || String(req.user._id)));
+});
+
+// Call-scoped attachment token from the Authorization header or ?token=
+const attachmentTokenOf = (req) => {
+  const authHeader = req.headers['authorization'];
+  return (authHeader && authHeader.split(' ')[1]) || req.query.token;
+};
+
+// Upload a small file into an ongoing call's chat
+app.post('/api/calls/:callId/attachments', (req, res) => {
+  const { callId } = req.params;
+  const grant = verifyAttachmentToken(attachmentTokenOf(req), callId);
+  const callSession = activeCalls.get(callId);
+  if (!grant || !callSession || !callSession.participants.some(p => p.socketId === grant.socketId)) {
+    return res.status(403).json({ error: 'Not a participant of this call' });
+  }
+
+  attachmentUpload.single('file')(req, res, (err) => {
+    if (err) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge ? `File exceeds ${Math.round(MAX_ATTACHMENT_BYTES / 1024 / 1024)} MB` : 'Upload failed'
+      });
+    }
+    if (!req.file) return res.status(400).json({ error: 'A document or image file is required' });
+
+    // The call may have ended, or the sender left it, while the file was uploading
+    const current = activeCalls.get(callId);
+    if (!current || !current.participants.some(p => p.socketId === grant.socketId)) {
+      removeAttachmentFile(req.file);
+      return res.status(410).json({ error: 'The call has ended' });
+    }
+    const message = postChatMessage(callId, grant.socketId, {
+      text: String(req.body.text || '').slice(0, CHAT_MESSAGE_MAX_LENGTH),
+      attachment: attachmentRef(callId, req.file)
+    });
+    res.json({ success: true, message });
+  });
+});
+
+// Whether a staff member handled a call or joined it as a guest (live call first, then its log)
+async function staffWasOnCall(email, callId) {
+  const live = activeCalls.get(callId);
+  if (live && live.participants.some(p => p.email === email)) return true;
+  if (!isDbConnected()) return false;
+  return Boolean(await Call.exists({ callId, $or: [{ staffEmail: email }, { 'metadata.guests.email': email }] }));
+}
+
+// Download an attachment: call participants with their token, or signed-in staff who were on the call (call history)
+app.get('/api/calls/:callId/attachments/:fileId', (req, res, next) => {
+  if (verifyAttachmentToken(attachmentTokenOf(req), req.params.callId)) return next();
+  authenticateToken(req, res, async () => {
+    try {
+      if (!(await staffWasOnCall(req.user.email, req.params.callId))) {
+        return res.status(403).json({ error: 'Not one of your calls' });
+      }
+      next();
+    } catch (error) {
+      console.error('Error checking attachment access:', error);
+      res.status(500).json({ error: 'Failed to check attachment access' });
+    }
+  });
+}, async (req, res) => {
+  const file = await findAttachment(req.params.callId, req.params.fileId);
+  if (!file) return res.status(404).json({ error: 'Attachment not found' });
+  res.download(file.path, file.name);
+});
+
+// Visitors who could not get through leave a callback request
+const callbackRequestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10 // limit each IP to 10 callback requests per windowMs
+});
+
+app.post('/api/callback-requests', callbackRequestLimiter, async (req, res) => {
+  try {
+    if (!isDbConnected()) return res.status(503).json({ error: 'Database not connected' });
+    const { name, contact, purpose, staffEmail, department, preferredWindow, clientSocketId } = req.body || {};
+    if (!name || !contact) return res.status(400).json({ error: 'Name and contact are required' });
+    if (!staffEmail && !department) return res.status(400).json({ error: 'A staff member or department is required' });
+
+    const window = preferredWindow || {};
+    const start = window.start ? new Date(window.start) : undefined;
+    const end = window.end ? new Date(window.end) : undefined;
+    if ((start && isNaN(start)) || (end && isNaN(end)) || (start && end && end <= start)) {
+      return res.status(400).json({ error: 'Preferred window must have a start before its end' });
+    }
+
+    let target = { staffEmail: undefined, department };
+    if (staffEmail) {
+      const staff = await Staff.findOne({ email: String(staffEmail).toLowerCase() });
+      if (!staff) return res.status(404).json({ error: 'Staff member not found' });
+      target = { staffEmail: staff.email, department: staff.department };
+    }
+
+    const request = new CallbackRequest({
+      name: String(name).slice(0, 100),
+      contact: String(contact).slice(0, 200),
+      purpose: purpose ? String(purpose).slice(0, 500) : undefined,
+      ...target,
+      preferredWindow: { start, end },
+      clientSocketId: clientSocketId ? String(clientSocketId) : undefined
+    });
+    await request.save();
+    notifyCallbackStaff(request);
+    console.log(`📝 Callback requested by ${request.name} for ${request.staffEmail || request.department}`);
+    res.status(201).json({ success: true, id: request._id });
+  } catch (error) {
+    console.error('Failed to create callback request:', error);
+    res.status(500).json({ error: 'Failed to create callback request' });
+  }
+});
+
+// Bookable slots of a staff member for visitors choosing an appointment time
+app.get('/api/availability', async (req, res) => {
+  try {
+    if (!isDbConnected()) return res.status(503).json({ error: 'Database not connected' });
+    const { staffEmail, from, to } = req.query;
+    const duration = parseInt(req.query.duration, 10) || 30;
+    const step = parseInt(req.query.step, 10) || 15;
+    if (!staffEmail) return res.status(400).json({ error: 'staffEmail is required' });
+    if (duration < 5 || duration > 240 || step < 5 || step > 120) {
+      return res.status(400).json({ error: 'Duration must be 5-240 minutes and step 5-120 minutes' });
+    }
+
+    const staff = await Staff.findOne({ email: String(staffEmail).toLowerCase() });
+    if (!staff) return res.status(404).json({ error: 'Staff member not found' });
+
+    const days = await findFreeSlots(staff, { from, to, duration, step });
+    res.json({ staffEmail: staff.email, name: staff.name, duration, days });
+  } catch (error) {
+    console.error('Failed to compute availability:', error);
+    res.status(500).json({ error: 'Failed to compute availability' });
+  }
+});
+
+// Visitors book one of those slots; it stays Pending until the staff member confirms it
+const bookingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10 // limit each IP to 10 bookings per windowMs
+});
+
+app.post('/api/appointments', bookingLimiter, async (req, res) => {
+  try {
+    if (!isDbConnected()) return res.status(503).json({ error: 'Database not connected' });
+    // Only plain strings reach the database
+    const body = req.body || {};
+    const text = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : undefined);
+    const fields = {
+      clientName: text(body.clientName, 100),
+      clientEmail: text(body.clientEmail, 200),
+      clientPhone: text(body.clientPhone, 30),
+      purpose: text(body.purpose, 500),
+      date: text(body.date, 10),
+      start: text(body.start, 5),
+      end: text(body.end, 5),
+      status: 'Pending',
+      appointmentType: ['In-Person', 'Video Call', 'Phone Call'].includes(body.appointmentType) ? body.appointmentType : undefined
+    };
+    const timeError = appointmentTimeError(fields);
+    if (timeError) return res.status(400).json({ error: timeError });
+    if (!fields.clientName || !fields.purpose) return res.status(400).json({ error: 'Name and purpose are required' });
+    if (!fields.clientEmail && !fields.clientPhone) return res.status(400).json({ error: 'An email address or phone number is required' });
+
+    const staff = await Staff.findOne({ email: String(text(body.staffEmail, 200) || '').toLowerCase() });
+    if (!staff) return res.status(404).json({ error: 'Staff member not found' });
+
+    // Only a time the availability engine offers (working hours, timetable, other bookings) can be booked
+    const start = normalizeTime(fields.start);
+    const duration = toMinutes(fields.end) - toMinutes(fields.start);
+    const [day] = await findFreeSlots(staff, { from: fields.date, to: fields.date, duration, step: 1 });
+    if (!day || !day.slots.some(slot => slot.start === start) || await findClash(staff._id, fields)) {
+      return res.status(409).json({ error: 'That time is not available, please pick another slot' });
+    }
+
+    const appointment = buildAppointment(staff, fields);
+    await appointment.save();
+    io.to(staffRoom(staff.email)).emit('new-appointment', { appointment: appointment.toObject(), bookedBy: 'visitor' });
+    console.log(`📅 ${appointment.clientName} booked ${appointment.appointmentId} with ${staff.email}`);
+    res.status(201).json({
+      success: true,
+      appointment: {
+        appointmentId: appointment.appointmentId,
+        staffName: staff.name,
+        date: fields.date,
+        time: `${appointment.appointmentTime.start} - ${appointment.appointmentTime.end}`,
+        status: appointment.status
+      },
+      // Shown at the front desk once the staff member has confirmed the appointment
+      qrCode: { code: appointment.qrCode.data, image: await qrImage(appointment.qrCode.data) }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ error: error.message });
+    console.error('Failed to book appointment:', error);
+    res.status(500).json({ error: 'Failed to book appointment' });
+  }
+});
+
+// Front desk scans a visitor's appointment QR code; the signed code is the only credential
+const checkInLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60 // limit each IP to 60 scans per windowMs
+});
+
+app.post('/api/appointments/check-in', checkInLimiter, async (req, res) => {
+  try {
+    if (!isDbConnected()) return res.status(503).json({ error: 'Database not connected' });
+    const code = String((req.body || {}).code || '').trim();
+    const grant = verifyQrCode(code);
+    if (!grant) return res.status(400).json({ error: 'This QR code is not valid or has expired' });
+
+    const appointment = await Appointment.findOne({ appointmentId: grant.appointmentId });
+    if (!appointment || !appointment.qrCode || appointment.qrCode.data !== code) {
+      return res.status(409).json({ error: 'This QR code has been replaced - the appointment was changed' });
+    }
+    if (appointment.status === 'Checked-in') {
+      return res.status(409).json({ error: `Already checked in at ${appointment.checkedInAt.toLocaleTimeString()}` });
+    }
+    if (appointment.status !== 'Confirmed') {
+      return res.status(409).json({ error: `This appointment is ${appointment.status === 'Pending' ? 'not confirmed yet' : appointment.status.toLowerCase()}` });
+    }
+    if (appointment.appointmentDate.toDateString() !== new Date().toDateString()) {
+      return res.status(409).json({ error: `This appointment is on ${appointment.appointmentDate.toDateString()}` });
+    }
+
+    const checkedIn = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: 'Confirmed' },
+      { status: 'Checked-in', checkedInAt: new Date(), updatedAt: new Date() },
+      { new: true }
+    );
+    if (!checkedIn) return res.status(409).json({ error: 'This appointment was just checked in' });
+
+    const staff = await Staff.findById(checkedIn.staffId);
+    const visit = {
+      appointmentId: checkedIn.appointmentId,
+      clientName: checkedIn.clientName,
+      purpose: checkedIn.purpose,
+      time: `${checkedIn.appointmentTime.start} - ${checkedIn.appointmentTime.end}`,
+      location: checkedIn.location,
+      staffName: staff ? staff.name : undefined,
+      checkedInAt: checkedIn.checkedInAt
+    };
+    if (staff) io.to(staffRoom(staff.email)).emit('visitor-arrived', visit);
+    console.log(`🛎️ ${checkedIn.clientName} checked in for ${checkedIn.appointmentId}`);
+    res.json({ success: true, appointment: visit });
+  } catch (error) {
+    console.error('Check-in failed:', error);
+    res.status(500).json({ error: 'Check-in failed' });
+  }
+});
+
+// Recorded audio/video message for a staff member (multipart field "message")
+const voicemailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5 // limit each IP to 5 messages per windowMs
+});
+
+app.get('/api/voicemails/config', (req, res) => {
+  res.json({ maxSeconds: MAX_VOICEMAIL_SECONDS, maxBytes: MAX_VOICEMAIL_BYTES });
+});
+
+app.post('/api/voicemails', voicemailLimiter, (req, res) => {
+  if (!isDbConnected()) return res.status(503).json({ error: 'Database not connected' });
+
+  voicemailUpload.single('message')(req, res, async (err) => {
+    if (err) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge ? `Message exceeds ${Math.round(MAX_VOICEMAIL_BYTES / 1024 / 1024)} MB` : 'Upload failed'
+      });
+    }
+    if (!req.file) return res.status(400).json({ error: 'An audio or video recording is required' });
+
+    try {
+      const { staffEmail, name, contact, purpose, duration } = req.body || {};
+      const staff = staffEmail && await Staff.findOne({ email: String(staffEmail).toLowerCase() });
+      if (!staff || !name) {
+        removeVoicemailFile(req.file.filename);
+        return res.status(400).json({ error: staff ? 'Your name is required' : 'Staff member not found' });
+      }
+
+      const online = staffSockets(staff.email).length > 0;
+      const voicemail = new Voicemail({
+        staffEmail: staff.email,
+        callerName: String(name).slice(0, 100),
+        contact: contact ? String(contact).slice(0, 200) : undefined,
+        purpose: purpose ? String(purpose).slice(0, 500) : undefined,
+        kind: req.file.mimetype.startsWith('audio/') ? 'audio' : 'video',
+        duration: Math.min(MAX_VOICEMAIL_SECONDS, Math.max(0, Math.round(Number(duration) || 0))),
+        file: req.file.filename,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        reason: online ? (await unavailableReason(staff, { online })) || undefined : 'Offline'
+      });
+      await voicemail.save();
+
+      io.to(staffSockets(staff.email)).emit('new-voicemail', {
+        id: voicemail._id,
+        callerName: voicemail.callerName,
+        kind: voicemail.kind
+      });
+      console.log(`📼 Voicemail from ${voicemail.callerName} for ${staff.email}`);
+      res.status(201).json({ success: true, id: voicemail._id });
+    } catch (error) {
+      console.error('Failed to save voicemail:', error);
+      removeVoicemailFile(req.file.filename);
+      res.status(500).json({ error: 'Failed to save voicemail' });
+    }
+  });
+});
+
 // Favicon
 app.get('/favicon.ico', (req, res) => res.status(204).end());
 
+const CHAT_MESSAGE_MAX_LENGTH = 2000;
+
+// Append a chat message to the call and deliver it to everyone in the call, sender included.
+// Returns null when the call is no longer active.
+function postChatMessage(callId, socketId, { text, attachment }) {
+  const callSession = activeCalls.get(callId);
+  if (!callSession) return null;
+  const participant = callSession.participants.find(p => p.socketId === socketId) || {};
+  const message = {
+    id: uuidv4(),
+    from: socketId,
+    role: participant.role,
+    name: participant.name || (participant.role === 'client' ? 'Client' : 'Staff'),
+    text,
+    ...(attachment ? { attachment } : {}),
+    at: new Date()
+  };
+  callChat.add(callId, message);
+  io.to(callRoom(callId)).emit('call-chat-message', { callId, message });
+  return message;
+}
+
+// Close one staff member's leg of a call in the Call lifecycle ('ended' or 'transferred')
+async function closeCallLeg(callId, callSession, { status = 'ended', reason, metadata = {}, set = {} }) {
+  if (!callSession.staffEmail) return;
+  const quality = summarizeQuality(callSamples.list(callId), callSession.startTime);
+  const chat = callChat.list(callId);
+  const guests = callSession.participants.filter(p => p.role === 'guest');
+
+  await advanceCall({ callId }, status, {
+    reason: reason || 'ended',
+    at: callSession.disconnectedAt,
+    set: {
+      // The mode the call ended in (it may have been downgraded to audio along the way)
+      callType: callSession.mode,
+      ...set,
+      metadata: {
+        ...(callSession.modeChanges ? { modeChanges: callSession.modeChanges } : {}),
+        ...(callSession.screenShared ? { screenShared: true } : {}),
+        ...(guests.length ? { guests: guests.map(({ email, name }) => ({ email, name })) } : {}),
+        ...(chat.length ? {
+          chat,
+          attachments: chat.filter(m => m.attachment).map(m => m.attachment)
+        } : {}),
+        ...(quality ? { quality } : {}),
+        ...metadata
+      }
+    }
+  });
+}
+
+// Withdraw a transfer or invitations still offered to colleagues when their call ends
+async function withdrawPendingOffers(callId, callSession) {
+  const transfer = callSession.transfer;
+  if (transfer) {
+    clearTimeout(transfer.timer);
+    // Still ringing: the target never got it. Otherwise they were consulting (warm) and the next leg never started
+    const ringing = await pendingTransfers.claim(transfer.transferId);
+    if (ringing) io.to(staffSockets(transfer.targetEmail)).emit('transfer-cancelled', { transferId: transfer.transferId });
+    await advanceCall({ callId: transfer.nextCallId }, ringing ? 'missed' : 'ended', { reason: 'call-ended' });
+  }
+  for (const [inviteId, invite] of Array.from(pendingInvites.entries())) {
+    if (invite.callId !== callId || !(await pendingInvites.claim(inviteId))) continue;
+    clearInviteTimer(inviteId);
+    io.to(staffSockets(invite.targetEmail)).emit('call-invitation-cancelled', { inviteId });
+  }
+}
+
+// Log the call, notify everyone in its room and release the staff member for the next visitor
+async function finishCall(callId, reason) {
+  const callSession = activeCalls.get(callId);
+  if (!callSession) return;
+  clearTimeout(callSession.reconnectTimer);
+  activeCalls.delete(callId);
+  await withdrawPendingOffers(callId, callSession);
+
+  await closeCallLeg(callId, callSession, { reason });
+  callChat.clear(callId);
+  callSamples.clear(callId);
+
+  // Notify every participant, then clean up
+  io.to(callRoom(callId)).emit('call-ended', { callId, reason });
+  closeCallRoom(callId);
+  mediaRelay.callEnded(callId);
+
+  const staffUser = connectedUsers.get(callSession.staffSocketId);
+  if (staffUser) await ringNextWaiting(staffUser.email, staffUser.department);
+}
+
+// Keep the call open while the staff member's connection recovers
+function holdForReconnect(callId, callSession) {
+  callSession.status = 'reconnecting';
+  callSession.disconnectedAt = new Date();
+  callSession.reconnectTimer = setTimeout(() => {
+    // The staff member may have come back through another instance
+    const current = activeCalls.get(callId);
+    if (!current || current.status !== 'reconnecting') return;
+    finishCall(callId, 'disconnect').catch(err => console.error('Failed to end call after disconnect:', err));
+  }, RECONNECT_GRACE_MS);
+  activeCalls.set(callId, callSession);
+  io.to(callRoom(callId)).emit('call-reconnecting', {
+    callId,
+    graceSeconds: Math.round(RECONNECT_GRACE_MS / 1000)
+  });
+}
+
+// Attach a re-registered staff socket to calls still waiting for it
+function resumeCalls(socket, staffEmail) {
+  for (const [callId, callSession] of activeCalls.entries()) {
+    if (callSession.status !== 'reconnecting' || callSession.staffEmail !== staffEmail) continue;
+    clearTimeout(callSession.reconnectTimer);
+    delete callSession.reconnectTimer;
+    delete callSession.disconnectedAt;
+    const previousSocketId = callSession.staffSocketId;
+    callSession.status = 'active';
+    callSession.staffSocketId = socket.id;
+    callSession.participants.forEach(p => { if (p.socketId === previousSocketId) p.socketId = socket.id; });
+    activeCalls.set(callId, callSession);
+    socket.join(callRoom(callId));
+
+    // Network paths changed, so the staff side renegotiates with an ICE restart
+    socket.to(callRoom(callId)).emit('call-resumed', { callId, previousSocketId, socketId: socket.id });
+    socket.emit('call-resumed', {
+      callId,
+      clientName: callSession.clientName,
+      mode: callSession.mode,
+      iceRestart: true,
+      participants: callSession.participants.filter(p => p.socketId !== socket.id)
+    });
+  }
+}
+
+// Staff sockets present the login JWT in the handshake; visitors connect without one
+io.use(authenticateSocket);
+
+// Online, available colleagues in the same department who can take a transferred call
+async function transferTargets(staffUser) {
+  const targets = [];
+  for (const s of onlineStaff(staffUser.department)) {
+    if (s.email === staffUser.email || targets.some(t => t.email === s.email)) continue;
+    if (isStaffInCall(s.email) || !(await canRing(s.email))) continue;
+    targets.push({ email: s.email, name: s.name, department: s.department });
+  }
+  return targets;
+}
+
+// Move the visitor onto a new call leg with the transfer target; the old leg is logged with a link to it
+async function completeTransfer(callId) {
+  const callSession = activeCalls.get(callId);
+  const transfer = callSession && callSession.transfer;
+  if (!transfer || !transfer.targetSocketId) return;
+  clearTimeout(transfer.timer);
+  activeCalls.delete(callId);
+
+  // The blind-transfer leg was already closed when the transferring staff member left
+  if (transfer.mode === 'warm') {
+    await closeCallLeg(callId, callSession, {
+      status: 'transferred',
+      reason: 'transferred',
+      set: { nextCallId: transfer.nextCallId },
+      metadata: { transferredTo: transfer.targetEmail, transferMode: transfer.mode }
+    });
+  }
+  callChat.clear(callId);
+  callSamples.clear(callId);
+  advanceCall({ callId: transfer.nextCallId }, 'accepted', { reason: 'transfer' });
+  // Everyone but the visitor leaves the old leg
+  io.to(callRoom(callId)).except(callSession.clientSocketId).emit('call-ended', { callId, reason: 'transferred' });
+  closeCallRoom(callId);
+  mediaRelay.callEnded(callId);
+
+  const nextCallId = transfer.nextCallId;
+  const nextSession = {
+    staffSocketId: transfer.targetSocketId,
+    clientSocketId: callSession.clientSocketId,
+    clientName: callSession.clientName,
+    staffEmail: transfer.targetEmail,
+    staffName: transfer.targetName,
+    previousCallId: callId,
+    transferredFrom: transfer.fromEmail,
+    mode: callSession.mode,
+    startTime: new Date()
+  };
+  nextSession.participants = callParticipants(nextSession);
+  activeCalls.set(nextCallId, nextSession);
+  io.in([transfer.targetSocketId, callSession.clientSocketId]).socketsJoin(callRoom(nextCallId));
+  recordAcceptedCall(transfer.targetEmail).catch(err => console.error('Failed to update call quota:', err.message));
+
+  // The visitor reconnects media with the new staff member exactly as after an acceptance
+  io.to(callSession.clientSocketId).emit('call-transferred', { previousCallId: callId, callId: nextCallId, staffName: transfer.targetName });
+  io.to(callSession.clientSocketId).emit('call-accepted-by-staff', { callId: nextCallId, staffName: transfer.targetName, mode: nextSession.mode, transfer: true });
+  io.to(transfer.targetSocketId).emit('start-call', {
+    callId: nextCallId,
+    clientName: callSession.clientName,
+    transferredFrom: transfer.fromName,
+    mode: nextSession.mode,
+    participants: nextSession.participants.filter(p => p.socketId !== transfer.targetSocketId)
+  });
+
+  const fromUser = connectedUsers.get(transfer.fromSocketId);
+  if (transfer.mode === 'warm' && fromUser) await ringNextWaiting(fromUser.email, fromUser.department);
+}
+
+// Target did not take the transfer: a warm transfer simply continues, a blind one ends for the visitor
+async function failTransfer(callId, reason) {
+  const callSession = activeCalls.get(callId);
+  const transfer = callSession && callSession.transfer;
+  if (!transfer) return;
+  clearTimeout(transfer.timer);
+  pendingTransfers.delete(transfer.transferId);
+  delete callSession.transfer;
+  activeCalls.set(callId, callSession);
+  // A warm transfer target who was consulting leaves the call
+  if (transfer.targetSocketId && callSession.participants.some(p => p.socketId === transfer.targetSocketId)) {
+    removeParticipant(callId, transfer.targetSocketId);
+    io.to(transfer.targetSocketId).emit('call-ended', { callId, reason: 'transfer-cancelled' });
+  }
+
+  onlineStaff().filter(s => s.email === transfer.targetEmail)
+    .forEach(s => io.to(s.socketId).emit('transfer-cancelled', { transferId: transfer.transferId }));
+  const legStatus = { 'No answer': 'missed', 'Declined by colleague': 'rejected' }[reason] || 'ended';
+  advanceCall({ callId: transfer.nextCallId }, legStatus, { reason });
+
+  if (transfer.mode === 'warm') {
+    io.to(callSession.staffSocketId).emit('transfer-failed', { callId, reason });
+    return;
+  }
+  io.to(callSession.clientSocketId).emit('transfer-failed', { callId, reason });
+  await finishCall(callId, 'transfer-failed');
+}
+
 // Socket.IO - Staff Only
 io.on('connection', (socket) => {
   console.log('👤 User connected:', socket.id);
 
-  // Register staff by email
-  socket.on('register-staff', (staffEmail) => {
+  // Every client event goes through here so handlers always get an object payload
+  const on = (event, handler) => socket.on(event, (data, ...rest) => handler(payloadOf(data), ...rest));
+
+  // Staff-only events are refused for sockets that did not authenticate during the handshake
+  const onStaff = (event, handler) => on(event, (...args) => {
+    if (!socket.data.staff) {
+      socket.emit('unauthorized', { event, message: 'Staff authentication required' });
+      return;
+    }
+    return handler(...args);
+  });
+
+  // Register staff presence; identity comes from the handshake token, never the payload
+  onStaff('register-staff', async () => {
     try {
-      staffEmailSessions.set(staffEmail, socket.id);
-      connectedUsers.set(socket.id, { email: staffEmail, type: 'staff' });
+      const staff = socket.data.staff;
+      const staffEmail = staff.email;
+      addStaffSocket(staffEmail, socket.id);
+      socket.join(staffRoom(staffEmail));
+      connectedUsers.set(socket.id, {
+        email: staffEmail,
+        name: staff.name,
+        department: staff.department,
+        type: 'staff'
+      });
+      if (isDbConnected()) await Staff.updateOne({ _id: staff._id }, { isOnline: true, lastActive: new Date() });
       console.log(`📧 Staff registered with email: ${staffEmail}`);
       socket.emit('staff-registered', { email: staffEmail, success: true });
+
+      resumeCalls(socket, staffEmail);
+      await sendDndStatus(staffEmail);
+
+      // Show what is already waiting and ring for the oldest request
+      sendWaitingCalls(socket.id);
+      if (!isStaffInCall(staffEmail)) await ringNextWaiting(staffEmail, staff.department);
     } catch (error) {
       console.error('Error registering staff:', error);
       socket.emit('staff-registration-error', { message: 'Failed to register staff' });
     }
   });
 
+  // Visitor asks to start a video call with a staff member or anyone in a department
+  on('request-call', async (data) => {
+    try {
+      // Only plain strings reach routing and the database
+      const text = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : undefined);
+      const staffEmail = text(data.staffEmail, 200);
+      const department = text(data.department, 100);
+      const clientName = text(data.clientName, 100);
+      const purpose = text(data.purpose, 500);
+      const { mode } = data;
+      if (!staffEmail && !department) {
+        socket.emit('call-request-failed', { message: 'A staff member or department is required' });
+        return;
+      }
+
+      let route;
+      try {
+        route = await routeCall({ staffEmail, department }, { presence: staffEmailSessions, isBusy: isStaffInCall });
+      } catch (error) {
+        console.error('Call routing failed:', error);
+        route = { staffEmail: staffEmail || null, department, fallbackFrom: null, reason: null };
+      }
+
+      const requestId = `req_${Date.now()}_${uuidv4()}`;
+      const entry = callQueue.add({
+        requestId,
+        clientSocketId: socket.id,
+        clientName: clientName || 'Client',
+        staffEmail: route.staffEmail || undefined,
+        department: route.staffEmail ? undefined : route.department,
+        routedFrom: route.fallbackFrom || undefined,
+        purpose,
+        mode: callMode(mode)
+      });
+      connectedUsers.set(socket.id, { name: clientName, type: 'client' });
+
+      // The requested lecturer is in class and nobody could cover: say when they are free
+      const dnd = entry.staffEmail && route.reason ? await dndStatusFor(entry.staffEmail) : null;
+      socket.emit('call-requested', {
+        requestId,
+        staffEmail: entry.staffEmail,
+        department: entry.department,
+        routedFrom: entry.routedFrom,
+        reason: route.reason,
+        heldUntil: dnd ? dnd.until : undefined,
+        voicemailUrl: route.reason ? voicemailUrl(entry.staffEmail) : undefined
+      });
+      await openCall({
+        requestId,
+        clientName: entry.clientName,
+        purpose,
+        staffEmail: entry.staffEmail,
+        department: route.department,
+        callType: entry.mode,
+        metadata: { routedFrom: entry.routedFrom, routeReason: route.reason }
+      });
+      await ringStaff(entry);
+      await publishQueueLine(entry);
+    } catch (error) {
+      console.error('Call request failed:', error);
+      socket.emit('call-request-failed', { message: 'Could not place the call request' });
+    }
+  });
+
+  // Visitor leaves the queue
+  on('cancel-call-request', async ({ requestId }) => {
+    try {
+      const entry = callQueue.get(requestId);
+      if (!entry || entry.clientSocketId !== socket.id) return;
+      if (!(await callQueue.claim(requestId))) return;
+      clearRingTimer(requestId);
+      staffForRequest(entry).forEach(s => io.to(s.socketId).emit('call-request-cancelled', { requestId }));
+      await advanceCall({ requestId }, 'ended', { reason: 'cancelled' });
+      await publishQueueLine(entry);
+    } catch (error) {
+      console.error('Cancelling call request failed:', error);
+    }
+  });
+
   // Handle incoming video call from client (staff accepts)
-  socket.on('call-accepted', async (data) => {
+  onStaff('call-accepted', async (data) => {
     console.log('📞 Staff accepted call:', data);
-    const { requestId, staffEmail, staffName } = data;
+    const { requestId } = data;
+    const { email: staffEmail, name: staffName } = socket.data.staff;
+
+    const request = callQueue.get(requestId);
+    if (!request) {
+      socket.emit('call-error', { requestId, message: 'Call request is no longer available' });
+      return;
+    }
+    if (!staffForRequest(request).some(s => s.socketId === socket.id)) {
+      socket.emit('call-error', { requestId, message: 'This call request is not assigned to you' });
+      return;
+    }
+    if (isStaffInCall(staffEmail)) {
+      socket.emit('call-error', { requestId, message: 'Finish your current call before answering another' });
+      return;
+    }
+    // First answer wins, also across server instances
+    if (!(await callQueue.claim(requestId))) {
+      socket.emit('call-error', { requestId, message: 'Call request is no longer available' });
+      return;
+    }
+    clearRingTimer(requestId);
+    recordAcceptedCall(staffEmail).catch(err => console.error('Failed to update call quota:', err.message));
     
     // Create call session
     const callId = `call_${Date.now()}_${uuidv4()}`;
     
     // Store call info
-    activeCalls.set(callId, {
+    const callSession = {
       staffSocketId: socket.id,
+      clientSocketId: request.clientSocketId,
+      clientName: request.clientName,
       staffEmail,
       staffName,
+      mode: callMode(request.mode),
       startTime: new Date()
-    });
+    };
+    callSession.participants = callParticipants(callSession);
+    activeCalls.set(callId, callSession);
+
+    // Bind both parties to the call room
+    io.in([socket.id, request.clientSocketId]).socketsJoin(callRoom(callId));
 
     // Notify client that staff accepted
-    socket.broadcast.emit('call-accepted-by-staff', {
+    socket.to(callRoom(callId)).emit('call-accepted-by-staff', {
       callId,
       staffName,
-      requestId
+      requestId,
+      mode: callSession.mode
     });
 
     // Tell staff to start call
     socket.emit('start-call', {
       callId,
-      clientName: 'Client'
+      clientName: request.clientName,
+      mode: callSession.mode,
+      participants: callSession.participants.filter(p => p.socketId !== socket.id)
     });
+
+    // Other devices and colleagues who were offered the same request close their modal
+    closeOfferElsewhere(staffForRequest(request), socket, 'call-request-cancelled', { requestId });
+    await advanceCall({ requestId }, 'accepted', { set: { callId, staffEmail, staffName } });
+    await publishQueueLine(request);
+  });
+
+  // One-click callback to a visitor whose call was missed
+  onStaff('callback-missed-call', async ({ requestId }) => {
+    const staffUser = connectedUsers.get(socket.id);
+    const missed = missedRequests.get(requestId);
+    if (!staffUser || staffUser.type !== 'staff' || !missed || !missed.staffEmails.includes(staffUser.email)) {
+      socket.emit('callback-failed', { requestId, message: 'This call can no longer be returned' });
+      return;
+    }
+    if (isStaffInCall(staffUser.email)) {
+      socket.emit('call-error', { requestId, message: 'Finish your current call before calling back' });
+      return;
+    }
+    if ((await io.in(missed.clientSocketId).fetchSockets()).length === 0) {
+      missedRequests.delete(requestId);
+      socket.emit('callback-failed', { requestId, message: 'The visitor is no longer connected' });
+      return;
+    }
+    missedRequests.delete(requestId);
+
+    await startOutgoingCall(socket, staffUser, {
+      clientSocketId: missed.clientSocketId,
+      clientName: missed.clientName,
+      purpose: missed.purpose,
+      mode: missed.mode,
+      notify: { requestId },
+      metadata: { callbackOf: requestId }
+    });
+  });
+
+  // Claim a visitor's callback request: video call if their page is still open, otherwise
+  // the contact details come back so staff can phone them and record the outcome
+  onStaff('claim-callback-request', async ({ id }) => {
+    const staffUser = connectedUsers.get(socket.id);
+    if (!staffUser || !isDbConnected() || !mongoose.isValidObjectId(id)) {
+      socket.emit('callback-failed', { id, message: 'This callback request is not available' });
+      return;
+    }
+    try {
+      const request = await CallbackRequest.findOneAndUpdate(
+        {
+          _id: id,
+          status: 'open',
+          $or: [{ staffEmail: staffUser.email }, { staffEmail: null, department: staffUser.department }]
+        },
+        { status: 'claimed', claimedBy: staffUser.email, claimedAt: new Date() },
+        { new: true }
+      );
+      if (!request) {
+        socket.emit('callback-failed', { id, message: 'Someone else already took this callback' });
+        return;
+      }
+      notifyCallbackStaff(request);
+
+      const online = request.clientSocketId && (await io.in(request.clientSocketId).fetchSockets()).length > 0;
+      if (online && !isStaffInCall(staffUser.email)) {
+        request.callId = await startOutgoingCall(socket, staffUser, {
+          clientSocketId: request.clientSocketId,
+          clientName: request.name,
+          purpose: request.purpose,
+          notify: { callbackRequestId: String(request._id) },
+          metadata: { callbackRequestId: String(request._id), contact: request.contact }
+        });
+        request.status = 'completed';
+        request.outcome = 'video-call';
+        await request.save();
+        return;
+      }
+      socket.emit('callback-claimed', { request: request.toObject() });
+    } catch (error) {
+      console.error('Failed to claim callback request:', error);
+      socket.emit('callback-failed', { id, message: 'Failed to claim this callback request' });
+    }
+  });
+
+  // ICE servers over the socket, for visitors who have no login token.
+  // Only issued to staff and to sockets that are in a call.
+  on('get-ice-servers', () => {
+    const inCall = Array.from(socket.rooms).some(room => room.startsWith('call:'));
+    if (!socket.data.staff && !inCall) {
+      socket.emit('signaling-error', { message: 'ICE servers are only available during a call' });
+      return;
+    }
+    socket.emit('ice-servers', iceServersFor(socket.data.staff ? socket.data.staff.email : socket.id));
+  });
+
+  // Do-not-disturb during classes: current state, and the per-staff opt-out
+  onStaff('get-dnd-status', () => sendDndStatus(socket.data.staff.email).catch(err => console.error('DND status failed:', err)));
+
+  onStaff('set-auto-dnd', async ({ enabled }) => {
+    const { email, department } = socket.data.staff;
+    if (!isDbConnected()) {
+      socket.emit('signaling-error', { event: 'set-auto-dnd', message: 'Database not connected' });
+      return;
+    }
+    try {
+      await Staff.updateOne({ email }, { autoDnd: !!enabled });
+      await sendDndStatus(email);
+      // Calls held for this staff member can ring now
+      if (!enabled) {
+        clearTimeout(dndTimers.get(email));
+        dndTimers.delete(email);
+        if (!isStaffInCall(email)) await ringNextWaiting(email, department);
+      }
+    } catch (error) {
+      console.error('Failed to update auto DND:', error);
+      socket.emit('signaling-error', { event: 'set-auto-dnd', message: 'Failed to update do-not-disturb' });
+    }
+  });
+
+  // Colleagues this staff member can transfer the call to
+  onStaff('list-transfer-targets', async ({ callId }) => {
+    const staffUser = connectedUsers.get(socket.id);
+    if (!staffUser) return;
+    const targets = await transferTargets(staffUser);
+    socket.emit('transfer-targets', { callId, targets: targets.map(({ socketId, ...t }) => t) });
+  });
+
+  // Staff hands the visitor to a colleague: 'blind' leaves at once, 'warm' consults first
+  onStaff('transfer-call', async ({ callId, targetEmail, mode = 'blind', note }) => {
+    const callSession = activeCalls.get(callId);
+    const staffUser = connectedUsers.get(socket.id);
+    if (!callSession || callSession.staffSocketId !== socket.id || !staffUser) {
+      socket.emit('transfer-failed', { callId, reason: 'You are not handling this call' });
+      return;
+    }
+    if (callSession.transfer) {
+      socket.emit('transfer-failed', { callId, reason: 'A transfer is already in progress' });
+      return;
+    }
+    const target = (await transferTargets(staffUser)).find(t => t.email === targetEmail);
+    if (!target) {
+      socket.emit('transfer-failed', { callId, reason: 'That colleague is not available' });
+      return;
+    }
+
+    const transfer = {
+      transferId: `xfer_${Date.now()}_${uuidv4()}`,
+      mode: mode === 'warm' ? 'warm' : 'blind',
+      note,
+      fromSocketId: socket.id,
+      fromEmail: staffUser.email,
+      fromName: staffUser.name,
+      targetEmail: target.email,
+      targetName: target.name,
+      nextCallId: `call_${Date.now()}_${uuidv4()}`
+    };
+    callSession.transfer = transfer;
+    pendingTransfers.set(transfer.transferId, callId);
+    transfer.timer = setTimeout(async () => {
+      try {
+        // Answered on another instance, where this timer could not be cleared
+        if (!(await pendingTransfers.claim(transfer.transferId))) return;
+        await failTransfer(callId, 'No answer');
+      } catch (err) {
+        console.error('Transfer timeout handling failed:', err);
+      }
+    }, RING_TIMEOUT_MS);
+    activeCalls.set(callId, callSession);
+
+    // The colleague's leg exists from the moment it rings, linked back to this one
+    await openCall({
+      callId: transfer.nextCallId,
+      previousCallId: callId,
+      transferredFrom: staffUser.email,
+      clientName: callSession.clientName,
+      staffEmail: target.email,
+      staffName: target.name,
+      department: staffUser.department,
+      rungStaff: [target.email],
+      callType: callSession.mode,
+      metadata: { transferMode: transfer.mode, note }
+    }, { status: 'ringing', reason: 'transfer' });
+
+    if (transfer.mode === 'blind') {
+      // The transferring staff member's leg ends now; the visitor waits for the colleague
+      await closeCallLeg(callId, callSession, {
+        status: 'transferred',
+        reason: 'transferred',
+        set: { nextCallId: transfer.nextCallId },
+        metadata: { transferredTo: transfer.targetEmail, transferMode: transfer.mode }
+      });
+      socket.leave(callRoom(callId));
+      socket.emit('call-ended', { callId, reason: 'transferred' });
+      callSession.participants = callSession.participants.filter(p => p.socketId !== socket.id);
+      callSession.staffSocketId = null;
+      callSession.staffEmail = null;
+      callSession.status = 'transferring';
+      activeCalls.set(callId, callSession);
+    }
+
+    io.to(callSession.clientSocketId).emit('call-transferring', { callId, staffName: target.name, mode: transfer.mode });
+    io.to(staffSockets(target.email)).emit('incoming-transfer', {
+      transferId: transfer.transferId,
+      callId,
+      mode: transfer.mode,
+      note,
+      clientName: callSession.clientName,
+      fromName: staffUser.name,
+      fromEmail: staffUser.email
+    });
+
+    if (transfer.mode === 'blind') await ringNextWaiting(staffUser.email, staffUser.department);
+  });
+
+  // Target accepts: blind transfers hand over now; in warm ones the target joins the call to
+  // consult with the transferring staff (and visitor) until the transfer is completed
+  onStaff('transfer-accepted', async ({ callId, transferId, message }) => {
+    const callSession = activeCalls.get(callId);
+    const transfer = callSession && callSession.transfer;
+    if (!transfer || transfer.transferId !== transferId || transfer.targetEmail !== socket.data.staff.email) {
+      socket.emit('transfer-cancelled', { transferId });
+      return;
+    }
+    // First answer wins, also across server instances
+    if (!(await pendingTransfers.claim(transferId))) {
+      socket.emit('transfer-cancelled', { transferId, reason: 'answered-elsewhere' });
+      return;
+    }
+    clearTimeout(transfer.timer);
+    transfer.targetSocketId = socket.id;
+    activeCalls.set(callId, callSession);
+    closeOfferElsewhere(onlineStaff().filter(s => s.email === transfer.targetEmail), socket, 'transfer-cancelled', { transferId });
+
+    if (transfer.mode === 'blind') {
+      await completeTransfer(callId);
+      return;
+    }
+    transfer.ready = true;
+    addGuest(socket, callId, callSession, { consult: true });
+    io.to(callSession.staffSocketId).emit('transfer-ready', { callId, transferId, targetName: transfer.targetName, message });
+  });
+
+  onStaff('transfer-declined', async ({ callId, transferId }) => {
+    const callSession = activeCalls.get(callId);
+    const transfer = callSession && callSession.transfer;
+    if (!transfer || transfer.transferId !== transferId || transfer.targetEmail !== socket.data.staff.email) return;
+    if (!(await pendingTransfers.claim(transferId))) return; // already answered on another device
+    await failTransfer(callId, 'Declined by colleague');
+  });
+
+  // Transferring staff finishes a warm transfer after consulting
+  onStaff('complete-transfer', async ({ callId }) => {
+    const callSession = activeCalls.get(callId);
+    if (!callSession || callSession.staffSocketId !== socket.id || !callSession.transfer || !callSession.transfer.ready) return;
+    await completeTransfer(callId);
+  });
+
+  onStaff('cancel-transfer', async ({ callId }) => {
+    const callSession = activeCalls.get(callId);
+    if (!callSession || callSession.staffSocketId !== socket.id || !callSession.transfer) return;
+    await failTransfer(callId, 'Cancelled');
   });
 
   // Handle call rejection
-  socket.on('call-rejected', (data) => {
+  onStaff('call-rejected', async (data) => {
     console.log('❌ Staff rejected call:', data);
-    socket.broadcast.emit('call-rejected-by-staff', data);
+    const request = callQueue.get(data && data.requestId);
+    // Department-wide requests stay queued for colleagues
+    if (!request || !request.staffEmail) return;
+    if (!(await callQueue.claim(data.requestId))) return;
+    clearRingTimer(data.requestId);
+    io.to(request.clientSocketId).emit('call-rejected-by-staff', data);
+    await advanceCall({ requestId: data.requestId }, 'rejected', { reason: 'declined' });
+    await publishQueueLine(request);
   });
 
   // Handle call end
-  socket.on('end-call', async ({ callId, reason }) => {
+  on('end-call', async ({ callId, reason }) => {
     console.log('📞 Call ended:', callId, reason);
     
     const callSession = activeCalls.get(callId);
-    if (!callSession) return;
+    if (!callSession || !isCallMember(socket, callId)) return;
 
-    const duration = callSession.startTime ? Math.floor((new Date() - callSession.startTime) / 1000) : 0;
+    // Invited colleagues only leave; the call goes on for everyone else
+    const participant = callSession.participants.find(p => p.socketId === socket.id);
+    if (participant && participant.role === 'guest') {
+      removeParticipant(callId, socket.id);
+      socket.emit('call-ended', { callId, reason: 'left' });
+      // A warm transfer target hanging up during the consult turns the transfer down
+      if (participant.consult && callSession.transfer) await failTransfer(callId, 'Declined by colleague');
+      return;
+    }
 
-    // Persist staff call log
-    try {
-      if (isDbConnected() && callSession.staffEmail) {
-        const staffEmail = callSession.staffEmail;
-        const username = (staffEmail.split('@')[0] || '').toLowerCase();
-        
-        // Write to global call log
-        await StaffCallLog.findOneAndUpdate(
-          { callId, staffEmail },
-          {
-            $setOnInsert: {
-              type: 'incoming',
-              caller: 'Client',
-              callee: callSession.staffName || 'Staff',
-              timestamp: callSession.startTime || new Date(),
-              staffUsername: username
-            },
-            $set: {
-              status: 'completed',
-              duration: duration,
-              metadata: { reason: reason || 'ended' }
-            }
-          },
-          { upsert: true, new: true }
-        );
-
-        // Write to per-staff collection
-        try {
-          const CL = getStaffCallLogModel(username);
-          await CL.findOneAndUpdate(
-            { callId, staffEmail },
-            {
-              $setOnInsert: {
-                type: 'incoming',
-                caller: 'Client',
-                callee: callSession.staffName || 'Staff',
-                timestamp: callSession.startTime || new Date(),
-                staffUsername: username
-              },
-              $set: {
-                status: 'completed',
-                duration: duration,
-                metadata: { reason: reason || 'ended' }
-              }
-            },
-            { upsert: true, new: true }
-          );
-        } catch (_) {}
+    await finishCall(callId, reason);
+  });
+
+  // Bring another staff member (e.g. the HOD) into an ongoing call
+  onStaff('invite-to-call', async ({ callId, targetEmail }) => {
+    const callSession = activeCalls.get(callId);
+    const staffUser = connectedUsers.get(socket.id);
+    if (!callSession || !isCallMember(socket, callId) || !staffUser) return;
+    const target = (await transferTargets(staffUser)).find(t => t.email === targetEmail);
+    if (!target) {
+      socket.emit('call-invitation-failed', { callId, reason: 'That colleague is not available' });
+      return;
+    }
+
+    const inviteId = `invite_${Date.now()}_${uuidv4()}`;
+    pendingInvites.set(inviteId, { callId, targetEmail, fromSocketId: socket.id });
+    inviteTimers.set(inviteId, setTimeout(async () => {
+      inviteTimers.delete(inviteId);
+      try {
+        if (!(await pendingInvites.claim(inviteId))) return; // answered meanwhile
+        socket.emit('call-invitation-failed', { callId, reason: 'No answer' });
+        io.to(staffSockets(target.email)).emit('call-invitation-cancelled', { inviteId });
+      } catch (err) {
+        console.error('Invitation timeout handling failed:', err);
       }
-    } catch (logErr) {
-      console.error('Failed to write StaffCallLog:', logErr.message);
+    }, RING_TIMEOUT_MS));
+    io.to(staffSockets(target.email)).emit('call-invitation', {
+      inviteId,
+      callId,
+      fromName: staffUser.name,
+      clientName: callSession.clientName
+    });
+  });
+
+  onStaff('call-invitation-accepted', async ({ inviteId }) => {
+    const invite = pendingInvites.get(inviteId);
+    const callSession = invite && activeCalls.get(invite.callId);
+    // First answer wins, also across server instances
+    if (!invite || invite.targetEmail !== socket.data.staff.email || !callSession || !(await pendingInvites.claim(inviteId))) {
+      socket.emit('call-invitation-cancelled', { inviteId });
+      return;
     }
+    clearInviteTimer(inviteId);
+    closeOfferElsewhere(onlineStaff().filter(s => s.email === invite.targetEmail), socket, 'call-invitation-cancelled', { inviteId });
+    addGuest(socket, invite.callId, callSession);
+  });
 
-    // Clean up
-    activeCalls.delete(callId);
-    
-    // Notify both parties
-    socket.emit('call-ended', { callId, reason });
-    socket.broadcast.emit('call-ended', { callId, reason });
+  onStaff('call-invitation-declined', async ({ inviteId }) => {
+    const invite = pendingInvites.get(inviteId);
+    if (!invite || invite.targetEmail !== socket.data.staff.email) return;
+    if (!(await pendingInvites.claim(inviteId))) return; // answered on another device
+    clearInviteTimer(inviteId);
+    io.to(invite.fromSocketId).emit('call-invitation-failed', { callId: invite.callId, reason: 'Declined' });
+  });
+
+  // WebRTC signaling - relayed only between members of the call
+  ['offer', 'answer', 'ice-candidate'].forEach((event) => {
+    on(event, (data) => {
+      if (!isCallMember(socket, data.callId)) {
+        socket.emit('signaling-error', { callId: data.callId, event, message: 'Not a member of this call' });
+        return;
+      }
+      const callSession = activeCalls.get(data.callId);
+      if (!mediaRelay.relay(socket, event, data, { room: callRoom(data.callId), participants: callSession.participants })) {
+        socket.emit('signaling-error', { callId: data.callId, event, message: 'Recipient is not in this call' });
+        return;
+      }
+      // The first answer means media is flowing
+      if (event === 'answer' && !callSession.mediaStarted) {
+        callSession.mediaStarted = true;
+        activeCalls.set(data.callId, callSession);
+        advanceCall({ callId: data.callId }, 'in-progress');
+      }
+    });
+  });
+
+  // A participant downgrades the call to audio-only (no camera, poor connection or by choice)
+  on('call-mode', ({ callId, mode, reason }) => {
+    if (!isCallMember(socket, callId)) return;
+    const callSession = activeCalls.get(callId);
+    const next = callMode(mode);
+    if (callSession.mode === next) return;
+    const participant = callSession.participants.find(p => p.socketId === socket.id);
+    callSession.mode = next;
+    callSession.modeChanges = (callSession.modeChanges || []).concat({
+      mode: next,
+      reason: reason || 'manual',
+      by: participant ? participant.role : 'unknown',
+      at: new Date()
+    });
+    activeCalls.set(callId, callSession);
+    socket.to(callRoom(callId)).emit('call-mode-changed', { callId, mode: next, reason: reason || 'manual', from: socket.id });
   });
 
-  // WebRTC signaling
-  socket.on('offer', (data) => {
-    socket.broadcast.emit('offer', data);
+  // In-call text chat
+  on('call-chat-message', ({ callId, text }) => {
+    if (!isCallMember(socket, callId)) return;
+    const body = String(text || '').trim().slice(0, CHAT_MESSAGE_MAX_LENGTH);
+    if (body) postChatMessage(callId, socket.id, { text: body });
   });
 
-  socket.on('answer', (data) => {
-    socket.broadcast.emit('answer', data);
+  // Token for uploading/downloading this call's attachments over HTTP
+  on('call-chat-token', ({ callId }) => {
+    if (!isCallMember(socket, callId)) return;
+    socket.emit('call-chat-token', {
+      callId,
+      token: issueAttachmentToken(callId, socket.id),
+      history: callChat.list(callId)
+    });
+  });
+
+  // Screen sharing start/stop, so the other side can switch its layout
+  on('screen-share', ({ callId, active }) => {
+    if (!isCallMember(socket, callId)) return;
+    const callSession = activeCalls.get(callId);
+    const participant = callSession.participants.find(p => p.socketId === socket.id);
+    if (active) {
+      callSession.screenSharedBy = socket.id;
+      callSession.screenShared = true;
+    } else if (callSession.screenSharedBy === socket.id) {
+      callSession.screenSharedBy = null;
+    }
+    activeCalls.set(callId, callSession);
+    socket.to(callRoom(callId)).emit('screen-share-changed', {
+      callId,
+      active: Boolean(active),
+      from: socket.id,
+      name: participant ? participant.name : undefined
+    });
   });
 
-  socket.on('ice-candidate', (data) => {
-    socket.broadcast.emit('ice-candidate', data);
+  // Connection quality summaries (RTT, jitter, loss, bitrate, resolution) from either side
+  on('call-stats', (data) => {
+    if (!isCallMember(socket, data.callId)) return;
+    const callSession = activeCalls.get(data.callId);
+    const participant = callSession.participants.find(p => p.socketId === socket.id);
+    const sample = toSample(data.stats, { role: participant ? participant.role : 'unknown', socketId: socket.id });
+    if (keepSample(callSamples.list(data.callId), sample)) callSamples.add(data.callId, sample);
   });
 
   // Disconnect
-  socket.on('disconnect', () => {
+  socket.on('disconnect', async () => {
     console.log('👋 User disconnected:', socket.id);
     
     // Clean up staff sessions
     const user = connectedUsers.get(socket.id);
-    if (user && user.email) {
-      staffEmailSessions.delete(user.email);
+    // Staff stay online until their last device disconnects
+    if (user && user.email && removeStaffSocket(user.email, socket.id)) {
+      if (isDbConnected()) {
+        Staff.updateOne({ email: String(user.email).toLowerCase() }, { isOnline: false, lastActive: new Date() })
+          .catch(err => console.error('Failed to mark staff offline:', err.message));
+      }
     }
     connectedUsers.delete(socket.id);
+
+    // Visitors who left can no longer be called back
+    for (const [requestId, missed] of missedRequests.entries()) {
+      if (missed.clientSocketId === socket.id) missedRequests.delete(requestId);
+    }
+
+    // Drop requests made by this visitor that nobody picked up yet
+    for (const entry of callQueue.removeByClient(socket.id)) {
+      clearRingTimer(entry.requestId);
+      staffForRequest(entry).forEach(s => io.to(s.socketId).emit('call-request-cancelled', { requestId: entry.requestId }));
+      await advanceCall({ requestId: entry.requestId }, 'ended', { reason: 'cancelled' });
+      await publishQueueLine(entry);
+    }
     
     // Clean up any active calls
     for (const [callId, callSession] of activeCalls.entries()) {
       if (callSession.staffSocketId === socket.id) {
-        activeCalls.delete(callId);
-        socket.broadcast.emit('call-ended', { callId, reason: 'disconnect' });
+        holdForReconnect(callId, callSession);
+      } else if (callSession.clientSocketId === socket.id) {
+        await finishCall(callId, 'disconnect');
+      } else {
+        removeParticipant(callId, socket.id);
+        // The warm transfer target dropped out of the consult
+        if (callSession.transfer && callSession.transfer.targetSocketId === socket.id) await failTransfer(callId, 'Colleague disconnected');
       }
     }
   });
 });
 
-// Start server
-server.listen(PORT, () => {
-  console.log('');
-  console.log('🚀 Staff Dashboard Server Running');
-  console.log('================================');
-  console.log(`📍 Port: ${PORT}`);
-  console.log(`🌐 Health: http://localhost:${PORT}/api/health`);
-  console.log(`👨‍🏫 Staff Interface: http://localhost:${PORT}/staff-interface`);
-  console.log('');
-  console.log('📋 Demo Staff Accounts:');
-  staffProfiles.slice(0, 3).forEach(s => {
-    console.log(`   • ${s.name}: ${s.email} / ${s.password}`);
-    console.log(`     URL: http://localhost:${PORT}/staff-interface/${s.email.split('@')[0].toLowerCase()}`);
-  });
-  console.log('');
-});
+// Start server once shared state (and with Redis, the Socket.IO adapter) is ready
+stateStore.ready
+  .then(() => stateStore.adapter())
+  .then((adapter) => {
+    if (adapter) io.adapter(adapter);
+    server.listen(PORT, () => {
+      console.log('');
+      console.log('🚀 Staff Dashboard Server Running');
+      console.log('================================');
+      console.log(`📍 Port: ${PORT}`);
+      console.log(`🌐 Health: http://localhost:${PORT}/api/health`);
+      console.log(`👨‍🏫 Staff Interface: http://localhost:${PORT}/staff-interface`);
+      console.log('');
+      console.log('📋 Demo Staff Accounts:');
+      staffProfiles.slice(0, 3).forEach(s => {
+        console.log(`   • ${s.name}: ${s.email} / ${s.password}`);
+        console.log(`     URL: http://localhost:${PORT}/staff-interface/${s.email.split('@')[0].toLowerCase()}`);
+      });
+      console.log('');
+    });
+  })
+  .catch((err) => {
+    console.error('Failed to start the state store:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,44 @@
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+
+const TOKEN_SCOPE = 'appointment-check-in';
+
+const secret = () => process.env.JWT_SECRET || 'demo_secret';
+
+/**
+ * Signed check-in code for an appointment, stored on the appointment so that a
+ * rescheduled appointment gets a fresh code and the old one stops working.
+ * Valid until the end of the day after the appointment.
+ */
+function issueQrCode(appointment) {
+  const expires = new Date(appointment.appointmentDate);
+  expires.setDate(expires.getDate() + 2);
+  const data = jwt.sign(
+    { scope: TOKEN_SCOPE, appointmentId: appointment.appointmentId },
+    secret(),
+    { expiresIn: Math.max(60, Math.floor((expires - Date.now()) / 1000)) }
+  );
+  appointment.qrCode = { data, generatedAt: new Date() };
+  return data;
+}
+
+// Decoded code ({ appointmentId }) when the signature is valid, otherwise null
+function verifyQrCode(code) {
+  try {
+    const decoded = jwt.verify(String(code || '').trim(), secret());
+    return decoded.scope === TOKEN_SCOPE ? decoded : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// PNG data URL of the code, for showing or emailing to the visitor
+function qrImage(code) {
+  return QRCode.toDataURL(code, { errorCorrectionLevel: 'M', margin: 2, width: 320 });
+}
+
+module.exports = {
+  issueQrCode,
+  verifyQrCode,
+  qrImage
+};
@@ -0,0 +1,83 @@
+const { v4: uuidv4 } = require('uuid');
+const Appointment = require('../models/Appointment');
+const { issueQrCode } = require('./appointmentQr');
+
+const HHMM = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+// Appointments that still hold their slot
+const ACTIVE_STATUSES = ['Pending', 'Confirmed', 'Checked-in'];
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// "9:00" -> "09:00", so stored times compare correctly as strings
+function normalizeTime(hhmm) {
+  const [h, m] = hhmm.split(':');
+  return `${h.padStart(2, '0')}:${m}`;
+}
+
+// Local midnight of a "YYYY-MM-DD" (or any parseable) date; null when invalid
+function parseDay(value) {
+  if (!value) return null;
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+  if (isNaN(day)) return null;
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+// Error message for an invalid date/time range, or null
+function appointmentTimeError({ date, start, end }) {
+  if (!parseDay(date) || !HHMM.test(start || '') || !HHMM.test(end || '') || toMinutes(end) <= toMinutes(start)) {
+    return 'Appointment needs a date and a start time before its end time (HH:MM)';
+  }
+  return null;
+}
+
+// Another active appointment of the same staff member overlapping the range, if any
+function findClash(staffId, { date, start, end }, excludeId) {
+  const query = {
+    staffId,
+    appointmentDate: parseDay(date),
+    status: { $in: ACTIVE_STATUSES },
+    'appointmentTime.start': { $lt: normalizeTime(end) },
+    'appointmentTime.end': { $gt: normalizeTime(start) }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  return Appointment.findOne(query);
+}
+
+// New (unsaved) appointment for a staff member from validated request fields, with its check-in code
+function buildAppointment(staff, fields) {
+  const start = normalizeTime(fields.start);
+  const end = normalizeTime(fields.end);
+  const appointment = new Appointment({
+    appointmentId: `APT${Date.now()}${uuidv4().slice(0, 4).toUpperCase()}`,
+    staffId: staff._id,
+    staffEmail: staff.email,
+    clientName: fields.clientName,
+    clientEmail: fields.clientEmail,
+    clientPhone: fields.clientPhone,
+    purpose: fields.purpose,
+    appointmentDate: parseDay(fields.date),
+    appointmentTime: { start, end },
+    duration: toMinutes(end) - toMinutes(start),
+    status: fields.status || 'Confirmed',
+    appointmentType: fields.appointmentType || 'In-Person',
+    location: fields.location,
+    staffNotes: fields.staffNotes,
+    videoCallDetails: fields.videoCallDetails
+  });
+  issueQrCode(appointment);
+  return appointment;
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  toMinutes,
+  normalizeTime,
+  parseDay,
+  appointmentTimeError,
+  findClash,
+  buildAppointment
+};
@@ -0,0 +1,106 @@
+const Appointment = require('../models/Appointment');
+const { getStaffTimetableModel } = require('./staffCollections');
+const { ACTIVE_STATUSES, toMinutes, parseDay } = require('./appointments');
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Timetable activities where staff are reachable: visitors can be booked and calls ring through.
+// Everything else blocks the slot
+const BOOKABLE_ACTIVITIES = ['Free', 'Office Hours', 'Consultation'];
+const MAX_RANGE_DAYS = 31;
+
+const toHHMM = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+const localDay = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+const sameDay = (a, b) => a && b && localDay(new Date(a)) === localDay(new Date(b));
+
+// Does a timetable entry take place on this date (weekday, validity range, cancellations)?
+function entryOccursOn(entry, day) {
+  if (entry.day !== DAYS[day.getDay()]) return false;
+  if (entry.isRecurring === false) return sameDay(entry.startDate, day);
+  if (entry.startDate && parseDay(entry.startDate) > day) return false;
+  if (entry.endDate && parseDay(entry.endDate) < day) return false;
+  return !(entry.exceptions || []).some(ex => sameDay(ex.date, day) && ex.isCancelled !== false);
+}
+
+// Remove [start, end) from a list of free minute ranges
+function subtract(ranges, start, end) {
+  const result = [];
+  ranges.forEach(([s, e]) => {
+    if (end <= s || start >= e) return result.push([s, e]);
+    if (start > s) result.push([s, start]);
+    if (end < e) result.push([end, e]);
+  });
+  return result;
+}
+
+/**
+ * Bookable slots of `duration` minutes on one day, starting on `step` minute boundaries:
+ * working hours minus the break, blocking timetable entries and active appointments.
+ * Slots that already started (relative to `now`) are left out.
+ */
+function freeSlotsForDay(day, { workingHours, breakTime, entries = [], appointments = [], duration, step, now = new Date() }) {
+  if (day.getDay() === 0 || !workingHours) return [];
+  let free = [[toMinutes(workingHours.start), toMinutes(workingHours.end)]];
+  if (breakTime && breakTime.start && breakTime.end) free = subtract(free, toMinutes(breakTime.start), toMinutes(breakTime.end));
+  entries
+    .filter(e => !BOOKABLE_ACTIVITIES.includes(e.activity) && entryOccursOn(e, day))
+    .forEach(e => { free = subtract(free, toMinutes(e.timeSlot.start), toMinutes(e.timeSlot.end)); });
+  appointments
+    .filter(a => sameDay(a.appointmentDate, day))
+    .forEach(a => { free = subtract(free, toMinutes(a.appointmentTime.start), toMinutes(a.appointmentTime.end)); });
+
+  const earliest = sameDay(now, day) ? now.getHours() * 60 + now.getMinutes() : 0;
+  const slots = [];
+  free.forEach(([s, e]) => {
+    let start = Math.ceil(Math.max(s, earliest) / step) * step;
+    for (; start + duration <= e; start += step) {
+      slots.push({ start: toHHMM(start), end: toHHMM(start + duration) });
+    }
+  });
+  return slots;
+}
+
+/**
+ * Free slots for a staff member between two dates (inclusive, at most 31 days).
+ * Returns [{ date: 'YYYY-MM-DD', slots: [{ start, end }] }] for days with working hours.
+ */
+async function findFreeSlots(staff, { from, to, duration = 30, step = 15, now = new Date() }) {
+  const first = parseDay(from) || parseDay(localDay(now));
+  const last = parseDay(to) || first;
+  const lastAllowed = new Date(first);
+  lastAllowed.setDate(lastAllowed.getDate() + MAX_RANGE_DAYS - 1);
+  const until = last > lastAllowed ? lastAllowed : last;
+
+  const username = (staff.username || staff.email.split('@')[0]).toLowerCase();
+  const TT = getStaffTimetableModel(username);
+  const [timetable, appointments] = await Promise.all([
+    TT.findOne({ staffId: staff._id.toString(), isActive: true }).sort({ lastUpdated: -1 }),
+    Appointment.find({ staffId: staff._id, status: { $in: ACTIVE_STATUSES }, appointmentDate: { $gte: first, $lte: until } })
+  ]);
+
+  const days = [];
+  for (const day = new Date(first); day <= until; day.setDate(day.getDate() + 1)) {
+    if (day < parseDay(localDay(now))) continue;
+    if (day.getDay() === 0) continue;
+    days.push({
+      date: localDay(day),
+      slots: freeSlotsForDay(new Date(day), {
+        workingHours: staff.workingHours,
+        breakTime: staff.breakTime,
+        entries: timetable ? timetable.entries : [],
+        appointments,
+        duration,
+        step,
+        now
+      })
+    });
+  }
+  return days;
+}
+
+module.exports = {
+  BOOKABLE_ACTIVITIES,
+  MAX_RANGE_DAYS,
+  entryOccursOn,
+  freeSlotsForDay,
+  findFreeSlots
+};
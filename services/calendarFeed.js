@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { parseDay, normalizeTime } = require('./appointments');
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const APPOINTMENT_STATUS = { Pending: 'TENTATIVE', Cancelled: 'CANCELLED' };
+
+// Stored times are server-local wall clock times
+const timezone = () => process.env.CALENDAR_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const pad = (n) => String(n).padStart(2, '0');
+const dateStamp = (d) => `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+const localStamp = (day, hhmm) => `${dateStamp(day)}T${normalizeTime(hhmm).replace(':', '')}00`;
+const utcStamp = (d) => new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Minutes ahead of UTC that `tz` is at the given instant
+function offsetMinutes(tz, date) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date).forEach(p => { parts[p.type] = Number(p.value); });
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return Math.round((wall - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+}
+
+const offsetText = (minutes) => {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+};
+
+// Wall clock stamp (no zone) of a UTC instant seen at the given offset
+const wallStamp = (ms, minutes) => utcStamp(ms + minutes * 60000).replace('Z', '');
+
+// Offset changes of `tz` between two instants, found day by day and then to the minute
+function offsetChanges(tz, from, to) {
+  const changes = [];
+  const DAY = 24 * 60 * 60 * 1000;
+  let before = offsetMinutes(tz, new Date(from));
+  for (let day = from; day < to; day += DAY) {
+    const after = offsetMinutes(tz, new Date(day + DAY));
+    if (after === before) continue;
+    let lo = day;
+    let hi = day + DAY;
+    while (hi - lo > 60000) {
+      const mid = Math.floor((lo + hi) / 2 / 60000) * 60000;
+      if (offsetMinutes(tz, new Date(mid)) === before) lo = mid;
+      else hi = mid;
+    }
+    changes.push({ at: hi, from: before, to: after });
+    before = after;
+  }
+  return changes;
+}
+
+const vtimezoneCache = new Map(); // `${tz}:${year}` -> lines
+
+/**
+ * VTIMEZONE for the TZID used by the events, so clients do not have to know the zone
+ * name. Covers last year to two years ahead with one observance per offset change.
+ */
+function vtimezone(tz, now = new Date()) {
+  const key = `${tz}:${now.getFullYear()}`;
+  if (vtimezoneCache.has(key)) return vtimezoneCache.get(key);
+
+  const from = Date.UTC(now.getFullYear() - 1, 0, 1);
+  const to = Date.UTC(now.getFullYear() + 3, 0, 1);
+  const initial = offsetMinutes(tz, new Date(from));
+  const changes = offsetChanges(tz, from, to);
+  const standard = Math.min(initial, ...changes.map(c => c.to));
+  const observance = ({ at, from: before, to: after }) => {
+    const kind = after > standard ? 'DAYLIGHT' : 'STANDARD';
+    return [
+      `BEGIN:${kind}`,
+      `DTSTART:${at === null ? '19700101T000000' : wallStamp(at, before)}`,
+      `TZOFFSETFROM:${offsetText(before)}`,
+      `TZOFFSETTO:${offsetText(after)}`,
+      `END:${kind}`
+    ];
+  };
+
+  const lines = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${tz}`,
+    // Offset in effect before the first change in range
+    ...observance({ at: null, from: initial, to: initial }),
+    ...changes.flatMap(observance),
+    'END:VTIMEZONE'
+  ];
+  vtimezoneCache.set(key, lines);
+  return lines;
+}
+
+// Secret for a staff member's feed URL
+const generateFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 lines are at most 75 octets; continuation lines start with a space
+function fold(line) {
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + ch) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// First date on or after the entry's start date that falls on its weekday
+function firstOccurrence(entry) {
+  const day = parseDay(entry.startDate) || parseDay(new Date());
+  while (DAYS[day.getDay()] !== entry.day) day.setDate(day.getDate() + 1);
+  return day;
+}
+
+function timetableEvent(timetable, entry, tz, stamp) {
+  const first = firstOccurrence(entry);
+  // One-off entries only take place on their start date (as in the availability engine)
+  if (entry.isRecurring === false && dateStamp(first) !== dateStamp(parseDay(entry.startDate) || first)) return [];
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:timetable-${timetable._id}-${entry._id}@clara`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;TZID=${tz}:${localStamp(first, entry.timeSlot.start)}`,
+    `DTEND;TZID=${tz}:${localStamp(first, entry.timeSlot.end)}`,
+    `SUMMARY:${escapeText(entry.subject ? `${entry.activity}: ${entry.subject}` : entry.activity)}`
+  ];
+  if (entry.room) lines.push(`LOCATION:${escapeText(entry.room)}`);
+  const details = [entry.batch && `Batch ${entry.batch}`, entry.semester, entry.notes].filter(Boolean);
+  if (details.length) lines.push(`DESCRIPTION:${escapeText(details.join('\n'))}`);
+
+  if (entry.isRecurring !== false) {
+    let rule = `RRULE:FREQ=WEEKLY;BYDAY=${entry.day.slice(0, 2).toUpperCase()}`;
+    const lastDay = parseDay(entry.endDate);
+    if (lastDay) {
+      lastDay.setHours(23, 59, 59);
+      rule += `;UNTIL=${utcStamp(lastDay)}`;
+    }
+    lines.push(rule);
+    (entry.exceptions || [])
+      .filter(ex => ex.isCancelled !== false && parseDay(ex.date) && DAYS[parseDay(ex.date).getDay()] === entry.day)
+      .forEach(ex => lines.push(`EXDATE;TZID=${tz}:${localStamp(parseDay(ex.date), entry.timeSlot.start)}`));
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function appointmentEvent(appointment, tz, stamp) {
+  const day = parseDay(appointment.appointmentDate);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:appointment-${appointment.appointmentId}@clara`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;TZID=${tz}:${localStamp(day, appointment.appointmentTime.start)}`,
+    `DTEND;TZID=${tz}:${localStamp(day, appointment.appointmentTime.end)}`,
+    `SUMMARY:${escapeText(`Appointment: ${appointment.clientName} - ${appointment.purpose}`)}`,
+    `STATUS:${APPOINTMENT_STATUS[appointment.status] || 'CONFIRMED'}`,
+    `DESCRIPTION:${escapeText(`${appointment.appointmentType} appointment (${appointment.status})`)}`
+  ];
+  if (appointment.location) lines.push(`LOCATION:${escapeText(appointment.location)}`);
+  if (appointment.updatedAt) lines.push(`LAST-MODIFIED:${utcStamp(appointment.updatedAt)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * iCalendar document with the staff member's weekly timetable (one recurring
+ * event per entry, cancelled dates as EXDATEs) and their appointments.
+ * 'Free' slots are left out.
+ */
+function buildCalendar(staff, { timetable, appointments = [] }) {
+  const tz = timezone();
+  const stamp = utcStamp(new Date());
+  const entries = timetable ? timetable.entries.filter(e => e.activity !== 'Free') : [];
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Sai Vidya Institute//Clara Staff Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`${staff.name} - Timetable & Appointments`)}`,
+    `X-WR-TIMEZONE:${tz}`,
+    ...vtimezone(tz),
+    ...entries.flatMap(entry => timetableEvent(timetable, entry, tz, stamp)),
+    ...appointments.flatMap(appointment => appointmentEvent(appointment, tz, stamp)),
+    'END:VCALENDAR'
+  ];
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  generateFeedToken,
+  buildCalendar
+};
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+
+const ATTACHMENTS_DIR = path.join(__dirname, '..', 'uploads', 'call-attachments');
+const MAX_ATTACHMENT_BYTES = (parseInt(process.env.CALL_ATTACHMENT_MAX_MB, 10) || 5) * 1024 * 1024;
+const TOKEN_SCOPE = 'call-attachments';
+
+// Documents and images only; anything else is refused at upload
+const ALLOWED_TYPES = [
+  /^image\/(png|jpe?g|gif|webp)$/,
+  /^application\/pdf$/,
+  /^text\/plain$/,
+  /^application\/(msword|vnd\.openxmlformats-officedocument\.(wordprocessingml\.document|spreadsheetml\.sheet|presentationml\.presentation)|vnd\.ms-excel|vnd\.ms-powerpoint)$/
+];
+
+const secret = () => process.env.JWT_SECRET || 'demo_secret';
+
+// Call IDs come from the URL; only allow the characters our IDs use
+const safeCallId = (callId) => String(callId || '').replace(/[^a-zA-Z0-9_-]/g, '');
+const safeFileName = (name) => path.basename(String(name || 'file')).replace(/[^a-zA-Z0-9._-]/g, '_').slice(-100);
+
+/**
+ * Short-lived token that lets one call participant (staff or visitor) upload to
+ * and download from that call's attachments. Visitors have no login, so the
+ * socket hands this out to verified call members.
+ */
+function issueAttachmentToken(callId, socketId) {
+  return jwt.sign({ scope: TOKEN_SCOPE, callId, socketId }, secret(), { expiresIn: '4h' });
+}
+
+function verifyAttachmentToken(token, callId) {
+  try {
+    const decoded = jwt.verify(token, secret());
+    if (decoded.scope !== TOKEN_SCOPE || decoded.callId !== callId) return null;
+    return decoded;
+  } catch (_) {
+    return null;
+  }
+}
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination(req, file, cb) {
+      const dir = path.join(ATTACHMENTS_DIR, safeCallId(req.params.callId));
+      fs.mkdir(dir, { recursive: true }, (err) => cb(err, dir));
+    },
+    filename(req, file, cb) {
+      // "<id>__<original name>" keeps the download name without a separate index
+      cb(null, `${uuidv4()}__${safeFileName(file.originalname)}`);
+    }
+  }),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 },
+  fileFilter(req, file, cb) {
+    cb(null, ALLOWED_TYPES.some(re => re.test(file.mimetype)));
+  }
+});
+
+// Reference stored in the chat transcript and the call log
+function attachmentRef(callId, file) {
+  const [id, ...rest] = file.filename.split('__');
+  return {
+    id,
+    name: rest.join('__'),
+    size: file.size,
+    mimeType: file.mimetype,
+    url: `/api/calls/${encodeURIComponent(callId)}/attachments/${id}`
+  };
+}
+
+// Absolute path and download name of a stored attachment, or null
+async function findAttachment(callId, id) {
+  const dir = path.join(ATTACHMENTS_DIR, safeCallId(callId));
+  const prefix = `${String(id).replace(/[^a-f0-9-]/gi, '')}__`;
+  try {
+    const match = (await fs.promises.readdir(dir)).find(name => name.startsWith(prefix));
+    return match ? { path: path.join(dir, match), name: match.slice(prefix.length) } : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Drop an upload that can no longer be posted (e.g. the call ended meanwhile)
+function removeAttachmentFile(file) {
+  fs.promises.unlink(file.path).catch(() => {});
+}
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  issueAttachmentToken,
+  verifyAttachmentToken,
+  upload,
+  attachmentRef,
+  findAttachment,
+  removeAttachmentFile
+};
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+
+// The signaling server keeps working without the database; lifecycle writes are skipped then
+const isDbConnected = () => mongoose.connection.readyState === 1;
+
+// Look a call up by its callId, or by the visitor's requestId before anyone took it
+const callFilter = ({ callId, requestId }) => (callId ? { callId } : { requestId });
+
+/**
+ * Create the Call record for a new leg. Incoming legs start as 'requested';
+ * `status` may walk it straight on (e.g. 'accepted' for callbacks and transfers).
+ */
+async function openCall(fields, { status, reason } = {}) {
+  if (!isDbConnected()) return null;
+  try {
+    const call = new Call({
+      ...fields,
+      status: 'requested',
+      statusHistory: [{ status: 'requested', at: new Date() }]
+    });
+    if (status && status !== 'requested') call.transitionTo(status, { reason });
+    await call.save();
+    return call;
+  } catch (err) {
+    console.error('Failed to create call record:', err.message);
+    return null;
+  }
+}
+
+// Apply a validated status change plus any field updates; logs and returns null when it fails
+async function advanceCall(ids, status, { reason, at, set = {} } = {}) {
+  if (!isDbConnected()) return null;
+  try {
+    const call = await Call.findOne(callFilter(ids)).sort({ createdAt: -1 });
+    if (!call) return null;
+    call.transitionTo(status, { reason, ...(at ? { at } : {}) });
+    Object.assign(call, set);
+    await call.save();
+    return call;
+  } catch (err) {
+    console.error(`Failed to move call to ${status}:`, err.message);
+    return null;
+  }
+}
+
+// Record the staff members rung for a request; the first ring moves it to 'ringing'
+async function markRinging(requestId, staffEmails) {
+  if (!isDbConnected() || staffEmails.length === 0) return;
+  try {
+    await Call.updateOne({ requestId, status: 'ringing' }, { $addToSet: { rungStaff: { $each: staffEmails } } });
+    const call = await Call.findOne({ requestId, status: 'requested' });
+    if (!call) return;
+    call.transitionTo('ringing');
+    call.rungStaff = Array.from(new Set([...call.rungStaff, ...staffEmails]));
+    await call.save();
+  } catch (err) {
+    console.error('Failed to mark call ringing:', err.message);
+  }
+}
+
+// Calls one staff member handled, plus requests that rang them and went unanswered
+function staffCallsQuery(email) {
+  return { $or: [{ staffEmail: email }, { rungStaff: email, status: 'missed' }] };
+}
+
+module.exports = {
+  openCall,
+  advanceCall,
+  markRinging,
+  staffCallsQuery
+};
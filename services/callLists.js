@@ -0,0 +1,37 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Growing per-call lists (chat messages, quality samples) kept out of the call session.
+ * Each item is its own entry in `entries` (a Map, or a shared state store map), so adding
+ * one shares only that item instead of the whole session with every other instance.
+ */
+function createCallList(entries = new Map(), { limit = Infinity } = {}) { // itemId -> { callId, seq, item }
+  let counter = 0;
+
+  const forCall = (callId) => Array.from(entries.entries())
+    .filter(([, e]) => e.callId === callId)
+    .sort((a, b) => a[1].seq - b[1].seq);
+
+  return {
+    // Items of one call, oldest first
+    list(callId) {
+      return forCall(callId).map(([, e]) => e.item);
+    },
+
+    // Append an item, dropping the oldest ones beyond the limit
+    add(callId, item) {
+      entries.set(uuidv4(), { callId, seq: Date.now() * 1000 + (counter++ % 1000), item });
+      const items = forCall(callId);
+      items.slice(0, Math.max(0, items.length - limit)).forEach(([key]) => entries.delete(key));
+    },
+
+    // Forget a call's items once it has been logged
+    clear(callId) {
+      forCall(callId).forEach(([key]) => entries.delete(key));
+    }
+  };
+}
+
+module.exports = {
+  createCallList
+};
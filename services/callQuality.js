@@ -0,0 +1,85 @@
+// Clients report getStats() summaries every few seconds; keep at most ~2 hours per call
+const MAX_SAMPLES_PER_CALL = 1440;
+const MIN_SAMPLE_INTERVAL_MS = 2000;
+const TIMELINE_BUCKET_SECONDS = 30;
+const METRICS = ['rttMs', 'jitterMs', 'packetLossPct', 'bitrateKbps', 'width', 'height'];
+
+function finite(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// Keep only known, numeric fields from a client report
+function toSample(stats = {}, { role, socketId, at = new Date() }) {
+  const sample = { at, role, socketId };
+  METRICS.forEach(key => { sample[key] = finite(stats[key]); });
+  return sample;
+}
+
+// Whether a sample should be added to the call's samples; reports that come too fast are ignored
+function keepSample(samples, sample) {
+  const last = samples.filter(s => s.socketId === sample.socketId).pop();
+  return !last || sample.at - last.at >= MIN_SAMPLE_INTERVAL_MS;
+}
+
+function average(samples, key) {
+  const values = samples.map(s => s[key]).filter(v => v !== null && v !== undefined);
+  if (values.length === 0) return null;
+  return Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10;
+}
+
+function averages(samples) {
+  const result = {};
+  METRICS.forEach(key => { result[key] = average(samples, key); });
+  return result;
+}
+
+// 'good' / 'fair' / 'poor' from round-trip time, jitter and packet loss
+function gradeOf({ rttMs, jitterMs, packetLossPct }) {
+  const rtt = rttMs || 0;
+  const jitter = jitterMs || 0;
+  const loss = packetLossPct || 0;
+  if (rtt < 150 && jitter < 30 && loss < 1) return 'good';
+  if (rtt < 300 && jitter < 60 && loss < 5) return 'fair';
+  return 'poor';
+}
+
+/**
+ * Quality report stored in the call log metadata: overall averages and grade,
+ * plus a timeline of averages per 30 second bucket.
+ */
+function summarizeQuality(samples = [], startTime) {
+  if (samples.length === 0) return null;
+  const start = new Date(startTime || samples[0].at).getTime();
+  const buckets = new Map();
+  samples.forEach(s => {
+    const offset = Math.max(0, Math.floor((s.at - start) / 1000 / TIMELINE_BUCKET_SECONDS)) * TIMELINE_BUCKET_SECONDS;
+    if (!buckets.has(offset)) buckets.set(offset, []);
+    buckets.get(offset).push(s);
+  });
+
+  const timeline = Array.from(buckets.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([offsetSeconds, bucket]) => {
+      const point = { offsetSeconds, ...averages(bucket) };
+      point.grade = gradeOf(point);
+      return point;
+    });
+
+  const overall = averages(samples);
+  const poorShare = timeline.filter(p => p.grade === 'poor').length / timeline.length;
+  return {
+    grade: poorShare > 0.25 ? 'poor' : gradeOf(overall),
+    samples: samples.length,
+    averages: overall,
+    timeline
+  };
+}
+
+module.exports = {
+  MAX_SAMPLES_PER_CALL,
+  toSample,
+  keepSample,
+  gradeOf,
+  summarizeQuality
+};
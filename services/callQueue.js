@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const Staff = require('../models/Staff');
+const Call = require('../models/Call');
+
+// Used when there is no call history to estimate from
+const DEFAULT_CALL_SECONDS = 5 * 60;
+const RECENT_CALLS_SAMPLE = 20;
+const AVERAGE_CACHE_MS = 60 * 1000;
+
+// A request waits either for a specific staff member or for anyone in a department
+function lineKey({ staffEmail, department }) {
+  return staffEmail ? `staff:${staffEmail}` : `dept:${department || 'General'}`;
+}
+
+// Queue of visitor call requests. Entries keep arrival order per line.
+// `entries` is any Map-like store (a Map by default, or a shared state store map).
+function createCallQueue(entries = new Map()) { // requestId -> entry
+
+  const inLine = (key) => Array.from(entries.values())
+    .filter(e => e.line === key)
+    .sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+
+  return {
+    add(entry) {
+      const queued = { ...entry, line: lineKey(entry), enqueuedAt: new Date() };
+      entries.set(entry.requestId, queued);
+      return queued;
+    },
+
+    get(requestId) {
+      return entries.get(requestId);
+    },
+
+    // Save changes made to an entry in place
+    update(entry) {
+      if (entries.has(entry.requestId)) entries.set(entry.requestId, entry);
+    },
+
+    remove(requestId) {
+      const entry = entries.get(requestId);
+      entries.delete(requestId);
+      return entry;
+    },
+
+    // Take a request off the queue; resolves to the entry only for the one caller that got it
+    async claim(requestId) {
+      const entry = entries.get(requestId);
+      if (!entry) return null;
+      const claimed = entries.claim ? await entries.claim(requestId) : entries.delete(requestId);
+      return claimed ? entry : null;
+    },
+
+    // Remove every request made by one visitor socket
+    removeByClient(clientSocketId) {
+      const removed = [];
+      for (const [requestId, entry] of entries.entries()) {
+        if (entry.clientSocketId === clientSocketId) {
+          entries.delete(requestId);
+          removed.push(entry);
+        }
+      }
+      return removed;
+    },
+
+    line(key) {
+      return inLine(key);
+    },
+
+    // 1-based position of a request within its own line
+    position(requestId) {
+      const entry = entries.get(requestId);
+      if (!entry) return 0;
+      return inLine(entry.line).findIndex(e => e.requestId === requestId) + 1;
+    },
+
+    // Everything a staff member may pick up: their own line plus their department's
+    forStaff(staffEmail, department) {
+      return [
+        ...inLine(lineKey({ staffEmail })),
+        ...(department ? inLine(lineKey({ department })) : [])
+      ];
+    }
+  };
+}
+
+const averageCache = new Map(); // line key -> { seconds, at }
+
+// Average duration of recent completed calls for a staff member or department
+async function averageCallSeconds({ staffEmail, department }) {
+  const key = lineKey({ staffEmail, department });
+  const cached = averageCache.get(key);
+  if (cached && Date.now() - cached.at < AVERAGE_CACHE_MS) return cached.seconds;
+
+  let seconds = DEFAULT_CALL_SECONDS;
+  if (mongoose.connection.readyState === 1) {
+    try {
+      let emails = staffEmail ? [staffEmail] : [];
+      if (!staffEmail && department) {
+        const members = await Staff.find({ department }).select('email').lean();
+        emails = members.map(m => m.email);
+      }
+      const recent = await Call.find({ staffEmail: { $in: emails }, status: 'ended', duration: { $gt: 0 } })
+        .sort({ createdAt: -1 })
+        .limit(RECENT_CALLS_SAMPLE)
+        .select('duration')
+        .lean();
+      if (recent.length > 0) {
+        seconds = Math.round(recent.reduce((sum, log) => sum + log.duration, 0) / recent.length);
+      }
+    } catch (err) {
+      console.error('Failed to compute average call duration:', err.message);
+    }
+  }
+
+  averageCache.set(key, { seconds, at: Date.now() });
+  return seconds;
+}
+
+// Estimated wait for the request at `position`, served by `servers` staff in parallel
+async function estimateWaitSeconds(entry, position, { busy = false, servers = 1 } = {}) {
+  const average = await averageCallSeconds(entry);
+  const ahead = position - 1 + (busy ? 1 : 0);
+  return Math.round((ahead * average) / Math.max(1, servers));
+}
+
+module.exports = {
+  createCallQueue,
+  lineKey,
+  averageCallSeconds,
+  estimateWaitSeconds
+};
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Staff = require('../models/Staff');
+const { getStaffTimetableModel } = require('./staffCollections');
+const { BOOKABLE_ACTIVITIES, entryOccursOn } = require('./availability');
+const { toMinutes } = require('./appointments');
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Timetable activities that put staff on do-not-disturb unless they turned autoDnd off
+const DND_ACTIVITIES = ['Teaching', 'Lab Session'];
+
+// Timetable day name and HH:MM for a moment in time
+function timetableSlot(now = new Date()) {
+  const time = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+  return { day: DAYS[now.getDay()], time };
+}
+
+function usernameOf(staff) {
+  return (staff.username || staff.email.split('@')[0]).toLowerCase();
+}
+
+// Timetable entries that take place on the day of `now` (weekday, validity range, cancellations)
+async function entriesOn(staff, now) {
+  const TT = getStaffTimetableModel(usernameOf(staff));
+  const tt = await TT.findOne({ staffId: staff._id.toString(), isActive: true }).sort({ lastUpdated: -1 });
+  if (!tt) return [];
+  const day = new Date(now);
+  day.setHours(0, 0, 0, 0);
+  return tt.entries.filter(e => entryOccursOn(e, day));
+}
+
+const minutesOf = (now) => now.getHours() * 60 + now.getMinutes();
+const isRunning = (entry, minutes) => toMinutes(entry.timeSlot.start) <= minutes && toMinutes(entry.timeSlot.end) > minutes;
+
+// Timetable entry keeping the staff member from calls right now, or null when they are reachable
+// (free, or in office hours / consultations, which visitors can also be booked into)
+async function currentTimetableEntry(staff, now = new Date()) {
+  const minutes = minutesOf(now);
+  return (await entriesOn(staff, now))
+    .find(e => !BOOKABLE_ACTIVITIES.includes(e.activity) && isRunning(e, minutes)) || null;
+}
+
+// Date for an HH:MM time on the same day as `now`
+function atTime(now, hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  const at = new Date(now);
+  at.setHours(h, m, 0, 0);
+  return at;
+}
+
+/**
+ * Do-not-disturb state from the timetable: { activity, until } while a Teaching or
+ * Lab Session slot is running (back-to-back classes extend `until`), otherwise null.
+ */
+async function dndStatus(staff, now = new Date()) {
+  if (staff.autoDnd === false) return null;
+  const minutes = minutesOf(now);
+  const classes = (await entriesOn(staff, now))
+    .filter(e => DND_ACTIVITIES.includes(e.activity))
+    .sort((a, b) => toMinutes(a.timeSlot.start) - toMinutes(b.timeSlot.start));
+  const current = classes.find(e => isRunning(e, minutes));
+  if (!current) return null;
+  let end = current.timeSlot.end;
+  for (const next of classes) {
+    if (toMinutes(next.timeSlot.start) <= toMinutes(end) && toMinutes(next.timeSlot.end) > toMinutes(end)) end = next.timeSlot.end;
+  }
+  return { activity: current.activity, until: atTime(now, end) };
+}
+
+// Reason a staff member cannot take a call right now, or null if they can.
+// `online` comes from socket presence, which is fresher than the stored isOnline flag.
+async function unavailableReason(staff, { online, now = new Date() }) {
+  staff.isOnline = online;
+  if (!staff.canAcceptCall()) return staff.getAvailabilityStatus();
+  const entry = await currentTimetableEntry(staff, now);
+  // Staff who opted out of auto DND can still be rung during their classes
+  if (entry && !(DND_ACTIVITIES.includes(entry.activity) && staff.autoDnd === false)) return entry.activity;
+  return null;
+}
+
+// Online staff of a department who can take a call now, least loaded first
+async function availableStaff(department, { presence, isBusy, exclude = [], now = new Date() }) {
+  const members = await Staff.find({ department, email: { $in: Array.from(presence.keys()), $nin: exclude } });
+  const free = [];
+  for (const member of members) {
+    if (!(await unavailableReason(member, { online: true, now }))) free.push(member);
+  }
+  return free.sort((a, b) =>
+    (isBusy(a.email) - isBusy(b.email)) || (a.currentCallsToday - b.currentCallsToday)
+  );
+}
+
+/**
+ * Decide who should receive a visitor's call request.
+ * Returns { staffEmail, department, fallbackFrom, reason }; staffEmail is null for
+ * department-wide requests. When the requested person is unavailable and nobody
+ * else in the department is free, the request stays with the requested person.
+ */
+async function routeCall({ staffEmail, department }, { presence, isBusy, now = new Date() }) {
+  // Without the database we cannot check availability; route as requested
+  if (mongoose.connection.readyState !== 1) {
+    return { staffEmail: staffEmail || null, department, fallbackFrom: null, reason: null };
+  }
+
+  if (!staffEmail) {
+    return { staffEmail: null, department, fallbackFrom: null, reason: null };
+  }
+
+  const requested = await Staff.findOne({ email: String(staffEmail).toLowerCase() });
+  if (!requested) {
+    return { staffEmail, department, fallbackFrom: null, reason: 'Unknown staff member' };
+  }
+
+  const reason = await unavailableReason(requested, { online: presence.has(requested.email), now });
+  if (!reason) {
+    return { staffEmail: requested.email, department: requested.department, fallbackFrom: null, reason: null };
+  }
+
+  const [colleague] = await availableStaff(requested.department, { presence, isBusy, exclude: [requested.email], now });
+  if (colleague) {
+    return { staffEmail: colleague.email, department: colleague.department, fallbackFrom: requested.email, reason };
+  }
+  return { staffEmail: requested.email, department: requested.department, fallbackFrom: null, reason };
+}
+
+// True when the staff member behind `email` may be rung right now
+async function canRing(email, { online = true, now = new Date() } = {}) {
+  if (mongoose.connection.readyState !== 1) return true;
+  try {
+    const staff = await Staff.findOne({ email: String(email).toLowerCase() });
+    if (!staff) return true;
+    return !(await unavailableReason(staff, { online, now }));
+  } catch (err) {
+    console.error('Availability check failed:', err.message);
+    return true;
+  }
+}
+
+// Do-not-disturb state for the staff member behind `email`; null without the database
+async function dndStatusFor(email, now = new Date()) {
+  if (mongoose.connection.readyState !== 1) return null;
+  try {
+    const staff = await Staff.findOne({ email: String(email).toLowerCase() });
+    return staff ? await dndStatus(staff, now) : null;
+  } catch (err) {
+    console.error('DND check failed:', err.message);
+    return null;
+  }
+}
+
+// Count an accepted call against the staff member's daily quota
+async function recordAcceptedCall(email) {
+  if (mongoose.connection.readyState !== 1) return;
+  const staff = await Staff.findOne({ email: String(email).toLowerCase() });
+  if (!staff) return;
+  staff.canAcceptCall(); // rolls the daily counter over when the day has changed
+  await staff.incrementCallCount();
+}
+
+module.exports = {
+  DND_ACTIVITIES,
+  timetableSlot,
+  dndStatus,
+  dndStatusFor,
+  currentTimetableEntry,
+  unavailableReason,
+  availableStaff,
+  routeCall,
+  canRing,
+  recordAcceptedCall
+};
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Public STUN servers used when none are configured
+const DEFAULT_STUN_URLS = [
+  'stun:stun.l.google.com:19302',
+  'stun:stun1.l.google.com:19302'
+];
+const DEFAULT_TURN_TTL_SECONDS = 60 * 60;
+
+function urlList(value) {
+  return String(value || '').split(',').map(u => u.trim()).filter(Boolean);
+}
+
+/**
+ * Time-limited TURN credentials (TURN REST API shared-secret scheme, as used by coturn's
+ * use-auth-secret): username is "<expiry unix time>:<id>", credential is
+ * base64(HMAC-SHA1(secret, username)).
+ */
+function turnCredentials(id, { secret, ttlSeconds, now = Date.now() }) {
+  const expiry = Math.floor(now / 1000) + ttlSeconds;
+  const username = `${expiry}:${id}`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+  return { username, credential, expiresAt: new Date(expiry * 1000).toISOString() };
+}
+
+// RTCConfiguration.iceServers for one peer, from STUN_URLS / TURN_URLS / TURN_SECRET
+function iceServersFor(id, env = process.env) {
+  const stunUrls = env.STUN_URLS ? urlList(env.STUN_URLS) : DEFAULT_STUN_URLS;
+  const turnUrls = urlList(env.TURN_URLS);
+  const ttlSeconds = parseInt(env.TURN_TTL_SECONDS, 10) || DEFAULT_TURN_TTL_SECONDS;
+
+  const iceServers = stunUrls.length > 0 ? [{ urls: stunUrls }] : [];
+  let expiresAt = null;
+  if (turnUrls.length > 0 && env.TURN_SECRET) {
+    const creds = turnCredentials(id, { secret: env.TURN_SECRET, ttlSeconds });
+    iceServers.push({ urls: turnUrls, username: creds.username, credential: creds.credential });
+    expiresAt = creds.expiresAt;
+  }
+  return { iceServers, ttlSeconds, expiresAt };
+}
+
+module.exports = {
+  turnCredentials,
+  iceServersFor
+};
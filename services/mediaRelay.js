@@ -0,0 +1,58 @@
+/**
+ * Media relay adapters carry WebRTC signaling between the participants of a call.
+ *
+ * An adapter is created with the Socket.IO server and implements:
+ *   relay(socket, event, data, { room, participants }) - forward one offer/answer/ice-candidate
+ *   participantJoined(callId, participant)              - optional hook
+ *   participantLeft(callId, participant)                - optional hook
+ *   callEnded(callId)                                   - optional hook
+ *
+ * The built-in 'mesh' adapter keeps one peer connection per pair of participants.
+ * An SFU adapter would instead answer offers itself and forward media server-side;
+ * register it with registerRelayAdapter() and select it with MEDIA_RELAY.
+ */
+
+// Mesh: messages addressed with `to` go to that participant only; unaddressed
+// messages (1:1 clients that predate multi-party calls) go to the rest of the room.
+function createMeshRelay(io) {
+  return {
+    name: 'mesh',
+
+    relay(socket, event, data, { room, participants }) {
+      const payload = { ...data, from: socket.id };
+      if (data.to) {
+        if (!participants.some(p => p.socketId === data.to)) return false;
+        io.to(data.to).emit(event, payload);
+        return true;
+      }
+      socket.to(room).emit(event, payload);
+      return true;
+    },
+
+    participantJoined() {},
+    participantLeft() {},
+    callEnded() {}
+  };
+}
+
+const adapters = {
+  mesh: createMeshRelay
+};
+
+function registerRelayAdapter(name, factory) {
+  adapters[name] = factory;
+}
+
+function createMediaRelay(io, name = process.env.MEDIA_RELAY || 'mesh') {
+  const factory = adapters[name];
+  if (!factory) {
+    console.warn(`Unknown media relay "${name}", falling back to mesh`);
+    return createMeshRelay(io);
+  }
+  return factory(io);
+}
+
+module.exports = {
+  createMediaRelay,
+  registerRelayAdapter
+};
@@ -0,0 +1,13 @@
+// Every signed-in staff socket joins its staff member's room, so REST handlers can reach all their devices
+const staffRoom = (email) => `staff:${String(email).toLowerCase()}`;
+
+// `app` is the Express app; server.js registers the Socket.IO server on it as 'io'
+function notifyStaff(app, email, event, payload) {
+  const io = app.get('io');
+  if (io && email) io.to(staffRoom(email)).emit(event, payload);
+}
+
+module.exports = {
+  staffRoom,
+  notifyStaff
+};
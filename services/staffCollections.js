@@ -1,6 +1,5 @@
 const mongoose = require('mongoose');
 const StaffTimetable = require('../models/StaffTimetable');
-const StaffCallLog = require('../models/StaffCallLog');
 
 // Sanitize username for collection names
 function sanitize(u) {
@@ -17,15 +16,7 @@ function getStaffTimetableModel(username) {
   return mongoose.model(key, StaffTimetable.schema, collection);
 }
 
-function getStaffCallLogModel(username) {
-  const key = `CLModel_${sanitize(username)}`;
-  const collection = `calllog_${sanitize(username)}`;
-  if (mongoose.models[key]) return mongoose.models[key];
-  return mongoose.model(key, StaffCallLog.schema, collection);
-}
-
 module.exports = {
   getStaffTimetableModel,
-  getStaffCallLogModel,
   sanitize
 };
@@ -0,0 +1,161 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Shared state for the signaling server (presence, connected users, active calls, queue).
+ *
+ * store.map(name) returns something with the Map API (get/set/has/delete/keys/values/
+ * entries/size), so call sites read state synchronously. Objects read from a map are
+ * not watched: after changing one in place, call map.set(key, value) again to share it.
+ * map.claim(key) removes a key and resolves true for exactly one caller across all
+ * instances, for first-answer-wins decisions (a local has/get check can race).
+ *
+ *   memory - plain Maps; a single server instance (the default)
+ *   redis  - each instance keeps a local copy of every map, written through to a Redis
+ *            hash and kept in step with other instances over pub/sub. Set STATE_STORE=redis
+ *            and REDIS_URL. Socket.IO events cross instances through the Redis adapter.
+ *
+ * Timer handles are local to the instance that set them and are never shared. Entries
+ * written by an instance that crashes (e.g. its connected users) are not cleaned up.
+ */
+
+const KEY_PREFIX = process.env.STATE_STORE_PREFIX || 'clara:state';
+const CHANNEL = `${KEY_PREFIX}:changes`;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+// Drop timer handles; Dates round-trip through the reviver below
+const encode = (value) => JSON.stringify(value, (key, v) => (
+  v && typeof v === 'object' && typeof v.hasRef === 'function' ? undefined : v
+));
+const decode = (raw) => JSON.parse(raw, (key, v) => (typeof v === 'string' && ISO_DATE.test(v) ? new Date(v) : v));
+
+// Plain Map with the claim() of replicated maps
+class LocalMap extends Map {
+  async claim(key) {
+    return this.delete(key);
+  }
+}
+
+function createMemoryStore() {
+  return {
+    kind: 'memory',
+    ready: Promise.resolve(),
+    map: () => new LocalMap(),
+    adapter: async () => null
+  };
+}
+
+// A local Map whose writes are forwarded to `onWrite`; remote changes are applied with applyRemote.
+// Claims are decided by `onClaim` (true for the one caller that removed the key).
+function createReplicatedMap(name, onWrite, onClaim) {
+  const local = new Map();
+  return {
+    get: (key) => local.get(key),
+    has: (key) => local.has(key),
+    keys: () => local.keys(),
+    values: () => local.values(),
+    entries: () => local.entries(),
+    forEach: (fn) => local.forEach(fn),
+    [Symbol.iterator]: () => local.entries(),
+    get size() {
+      return local.size;
+    },
+    set(key, value) {
+      local.set(key, value);
+      onWrite(name, 'set', key, value);
+      return this;
+    },
+    delete(key) {
+      const existed = local.delete(key);
+      if (existed) onWrite(name, 'delete', key);
+      return existed;
+    },
+    async claim(key) {
+      const claimed = await onClaim(name, key);
+      if (claimed) local.delete(key);
+      return claimed;
+    },
+    applyRemote(op, key, value) {
+      if (op === 'set') local.set(key, value);
+      else local.delete(key);
+    }
+  };
+}
+
+function createRedisStore(url = process.env.REDIS_URL || 'redis://localhost:6379') {
+  const { createClient } = require('redis');
+  const instanceId = uuidv4();
+  // Back off up to 5s between reconnects; startup waits until Redis is reachable
+  const client = createClient({ url, socket: { reconnectStrategy: (retries) => Math.min(retries * 200, 5000) } });
+  const subscriber = client.duplicate();
+  const maps = new Map(); // name -> replicated map
+  const logError = (err) => console.error('State store error:', err.message);
+  client.on('error', logError);
+  subscriber.on('error', logError);
+
+  const connected = Promise.all([client.connect(), subscriber.connect()]);
+
+  const onWrite = (name, op, key, value) => {
+    const hash = `${KEY_PREFIX}:${name}`;
+    const encoded = op === 'set' ? encode(value) : undefined;
+    const tx = client.multi();
+    if (op === 'set') tx.hSet(hash, key, encoded);
+    else tx.hDel(hash, key);
+    tx.publish(CHANNEL, JSON.stringify({ instanceId, name, op, key, value: encoded }));
+    tx.exec().catch(logError);
+  };
+
+  // HDEL is atomic: only one caller on any instance gets 1 back for the same key
+  const onClaim = async (name, key) => {
+    const removed = await client.hDel(`${KEY_PREFIX}:${name}`, key);
+    if (!removed) return false;
+    client.publish(CHANNEL, JSON.stringify({ instanceId, name, op: 'delete', key })).catch(logError);
+    return true;
+  };
+
+  const ready = connected.then(async () => {
+    await subscriber.subscribe(CHANNEL, (message) => {
+      const change = JSON.parse(message);
+      const map = maps.get(change.name);
+      if (change.instanceId === instanceId || !map) return;
+      map.applyRemote(change.op, change.key, change.op === 'set' ? decode(change.value) : undefined);
+    });
+    // Pick up what other instances already hold
+    for (const [name, map] of maps.entries()) {
+      const stored = await client.hGetAll(`${KEY_PREFIX}:${name}`);
+      Object.entries(stored).forEach(([key, raw]) => { if (!map.has(key)) map.applyRemote('set', key, decode(raw)); });
+    }
+    console.log('✅ Connected to Redis state store');
+  });
+
+  return {
+    kind: 'redis',
+    ready,
+    map(name) {
+      const map = createReplicatedMap(name, onWrite, onClaim);
+      maps.set(name, map);
+      return map;
+    },
+    // Socket.IO Redis adapter, so io.to(socketId) reaches sockets on every instance
+    async adapter() {
+      const { createAdapter } = require('@socket.io/redis-adapter');
+      const pubClient = client.duplicate();
+      const subClient = client.duplicate();
+      pubClient.on('error', logError);
+      subClient.on('error', logError);
+      await Promise.all([pubClient.connect(), subClient.connect()]);
+      return createAdapter(pubClient, subClient);
+    }
+  };
+}
+
+function createStateStore(kind = process.env.STATE_STORE || 'memory') {
+  if (kind === 'redis') return createRedisStore();
+  if (kind !== 'memory') console.warn(`Unknown state store "${kind}", using memory`);
+  return createMemoryStore();
+}
+
+module.exports = {
+  createStateStore,
+  createMemoryStore,
+  createRedisStore
+};
@@ -0,0 +1,255 @@
+const path = require('path');
+const multer = require('multer');
+const StaffTimetable = require('../models/StaffTimetable');
+const { toMinutes, normalizeTime } = require('./appointments');
+
+const MAX_IMPORT_BYTES = 1024 * 1024;
+const HHMM = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Allowed values come from the schema so the import accepts exactly what a save would
+const entrySchema = StaffTimetable.schema.path('entries').schema;
+const DAYS = entrySchema.path('day').enumValues;
+const ACTIVITIES = entrySchema.path('activity').enumValues;
+const WEEKDAYS = ['Sunday', ...DAYS];
+const ICS_DAYS = { MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday', FR: 'Friday', SA: 'Saturday', SU: 'Sunday' };
+
+// CSV header names (lowercase) accepted for each entry field
+const CSV_COLUMNS = {
+  day: ['day', 'weekday'],
+  start: ['start', 'start time', 'from'],
+  end: ['end', 'end time', 'to'],
+  time: ['time', 'time slot', 'timeslot'],
+  activity: ['activity', 'type'],
+  subject: ['subject', 'course', 'title'],
+  room: ['room', 'location', 'venue'],
+  batch: ['batch', 'section', 'class']
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+  fileFilter(req, file, cb) {
+    cb(null, ['.ics', '.csv'].includes(path.extname(file.originalname).toLowerCase()));
+  }
+});
+
+const matchOne = (value, options) => options.find(o => o.toLowerCase() === String(value || '').trim().toLowerCase());
+// "Mon", "tues", "Thursday"...
+const matchDay = (value) => {
+  const v = String(value || '').trim().toLowerCase();
+  return v.length >= 3 ? DAYS.find(d => d.toLowerCase().startsWith(v)) : undefined;
+};
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, commas and newlines inside quotes
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { if (ch === '\n') line++; field += ch; }
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(f => f.trim())) rows.push({ line: rowLine, fields: row });
+      row = [];
+      field = '';
+      rowLine = ++line;
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(f => f.trim())) rows.push({ line: rowLine, fields: row });
+  return rows;
+}
+
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!header) return { items: [], errors: [{ line: 1, message: 'The file is empty' }] };
+  const names = header.fields.map(h => h.trim().toLowerCase());
+  const column = {};
+  Object.entries(CSV_COLUMNS).forEach(([key, aliases]) => {
+    const index = names.findIndex(n => aliases.includes(n));
+    if (index !== -1) column[key] = index;
+  });
+  if (column.day === undefined || ((column.start === undefined || column.end === undefined) && column.time === undefined)) {
+    return { items: [], errors: [{ line: header.line, message: 'Header row needs day plus start and end (or time) columns' }] };
+  }
+
+  const items = rows.map(({ line, fields }) => {
+    const get = (key) => (column[key] === undefined ? '' : String(fields[column[key]] || '').trim());
+    let [start, end] = [get('start'), get('end')];
+    if ((!start || !end) && get('time')) [start, end] = get('time').split(/\s*[-–]\s*/);
+    return {
+      line,
+      day: get('day'),
+      start,
+      end,
+      activity: get('activity'),
+      subject: get('subject'),
+      room: get('room'),
+      batch: get('batch')
+    };
+  });
+  return { items, errors: [] };
+}
+
+// Unfold continuation lines, keeping the number of the line each property started on
+function icsLines(text) {
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    if (/^[ \t]/.test(raw) && lines.length) lines[lines.length - 1].text += raw.slice(1);
+    else if (raw.trim()) lines.push({ line: i + 1, text: raw });
+  });
+  return lines;
+}
+
+const unescapeText = (value) => value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+
+// "20261020T090000" (wall clock) or "...Z" (UTC, shown in server-local time); null for all-day values
+function parseIcsDate(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value || '');
+  if (!m || !m[4]) return null;
+  const [, y, mo, d, h, mi, s, utc] = m;
+  return utc ? new Date(Date.UTC(y, mo - 1, d, h, mi, s)) : new Date(y, mo - 1, d, h, mi, s);
+}
+
+const clock = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+// "Teaching: Data Structures" (our own feed format), a bare activity, or a free-text title
+function activityFromSummary(summary) {
+  const [head, ...rest] = summary.split(':');
+  const named = matchOne(head, ACTIVITIES);
+  if (named) return { activity: named, subject: rest.join(':').trim() };
+  if (/\blab\b/i.test(summary)) return { activity: 'Lab Session', subject: summary };
+  if (/office hours/i.test(summary)) return { activity: 'Office Hours', subject: '' };
+  if (/meeting/i.test(summary)) return { activity: 'Meeting', subject: summary };
+  if (/consult/i.test(summary)) return { activity: 'Consultation', subject: summary };
+  return { activity: 'Teaching', subject: summary };
+}
+
+function parseIcs(text) {
+  const items = [];
+  const errors = [];
+  let event = null;
+  icsLines(text).forEach(({ line, text: content }) => {
+    const colon = content.indexOf(':');
+    if (colon === -1) return;
+    const [name, ...params] = content.slice(0, colon).split(';');
+    const value = content.slice(colon + 1);
+    const key = name.toUpperCase();
+    if (key === 'BEGIN' && value === 'VEVENT') event = { line, exdates: [] };
+    else if (!event) return;
+    else if (key === 'END' && value === 'VEVENT') {
+      items.push(...eventItems(event, errors));
+      event = null;
+    } else if (key === 'EXDATE') event.exdates.push(...value.split(','));
+    else if (['UID', 'DTSTART', 'DTEND', 'SUMMARY', 'LOCATION', 'DESCRIPTION', 'RRULE', 'STATUS'].includes(key)) {
+      event[key] = { value, allDay: params.some(p => /^VALUE=DATE$/i.test(p)) };
+    }
+  });
+  if (!items.length && !errors.length) errors.push({ line: 1, message: 'No events found in the calendar file' });
+  return { items, errors };
+}
+
+// One import item per weekday an event repeats on
+function eventItems(event, errors) {
+  const fail = (message) => { errors.push({ line: event.line, message }); return []; };
+  if (event.STATUS && /^CANCELLED$/i.test(event.STATUS.value)) return [];
+  // Appointments from our own calendar feed are not part of the timetable
+  if (event.UID && /^appointment-.*@clara$/.test(event.UID.value)) return [];
+  const start = event.DTSTART && !event.DTSTART.allDay && parseIcsDate(event.DTSTART.value);
+  const end = event.DTEND && !event.DTEND.allDay && parseIcsDate(event.DTEND.value);
+  if (!start || !end) return fail('Events need a start and end time (all-day events are skipped)');
+
+  const summary = event.SUMMARY ? unescapeText(event.SUMMARY.value).trim() : '';
+  const description = event.DESCRIPTION ? unescapeText(event.DESCRIPTION.value) : '';
+  const batch = (/^Batch (.+)$/m.exec(description) || [])[1];
+  const base = {
+    line: event.line,
+    start: clock(start),
+    end: clock(end),
+    ...activityFromSummary(summary || 'Class'),
+    room: event.LOCATION ? unescapeText(event.LOCATION.value).trim() : '',
+    batch: batch ? batch.trim() : '',
+    startDate: new Date(start.getFullYear(), start.getMonth(), start.getDate())
+  };
+
+  if (!event.RRULE) return [{ ...base, day: WEEKDAYS[start.getDay()], isRecurring: false }];
+  const rule = Object.fromEntries(event.RRULE.value.split(';').map(part => part.split('=')));
+  if (rule.FREQ !== 'WEEKLY' || (rule.INTERVAL && rule.INTERVAL !== '1')) return fail('Only events repeating every week can be imported');
+  const until = rule.UNTIL && (parseIcsDate(rule.UNTIL.length === 8 ? `${rule.UNTIL}T235959` : rule.UNTIL));
+  const exceptions = event.exdates
+    .map(parseIcsDate)
+    .filter(Boolean)
+    .map(date => ({ date: new Date(date.getFullYear(), date.getMonth(), date.getDate()), reason: 'Imported exception', isCancelled: true }));
+  const days = rule.BYDAY ? rule.BYDAY.split(',').map(d => ICS_DAYS[d.slice(-2)]) : [WEEKDAYS[start.getDay()]];
+  return days.map(day => ({
+    ...base,
+    day,
+    isRecurring: true,
+    ...(until ? { endDate: until } : {}),
+    exceptions: exceptions.filter(ex => WEEKDAYS[ex.date.getDay()] === day)
+  }));
+}
+
+// Timetable entry for an import item, or a message saying what is wrong with it
+function toEntry(item) {
+  const day = matchDay(item.day);
+  if (!day) return { error: /^sun/i.test(item.day || '') ? 'Sunday is not a timetable day' : `Unknown day "${item.day || ''}"` };
+  if (!HHMM.test(item.start || '') || !HHMM.test(item.end || '')) return { error: 'Start and end must be times in HH:MM format' };
+  if (toMinutes(item.end) <= toMinutes(item.start)) return { error: 'End time must be after the start time' };
+  const activity = item.activity ? matchOne(item.activity, ACTIVITIES) : 'Teaching';
+  if (!activity) return { error: `Unknown activity "${item.activity}" (use ${ACTIVITIES.join(', ')})` };
+
+  const entry = { day, timeSlot: { start: normalizeTime(item.start), end: normalizeTime(item.end) }, activity };
+  ['subject', 'room', 'batch'].forEach(field => { if (item[field]) entry[field] = item[field].slice(0, 200); });
+  ['isRecurring', 'startDate', 'endDate', 'exceptions'].forEach(field => { if (item[field] !== undefined) entry[field] = item[field]; });
+  return { entry };
+}
+
+// Weekly entries on the same day with overlapping times; one-off entries never clash with the weekly pattern
+const clashes = (a, b) => a.day === b.day && a.isRecurring !== false && b.isRecurring !== false &&
+  toMinutes(a.timeSlot.start) < toMinutes(b.timeSlot.end) && toMinutes(b.timeSlot.start) < toMinutes(a.timeSlot.end);
+
+/**
+ * Parse an uploaded .ics or .csv timetable into entries. Rows that do not fit the
+ * timetable schema, or clash with an earlier row, are reported in `errors` with
+ * their line number and left out of `entries`.
+ */
+function parseTimetableFile(fileName, text) {
+  const ics = path.extname(fileName).toLowerCase() === '.ics';
+  const { items, errors } = ics ? parseIcs(text) : parseCsv(text);
+  const entries = [];
+  items.forEach(item => {
+    const { entry, error } = toEntry(item);
+    const clash = entry && entries.find(e => clashes(e, entry));
+    if (error) errors.push({ line: item.line, message: error });
+    else if (clash) errors.push({ line: item.line, message: `Overlaps ${clash.day} ${clash.timeSlot.start}-${clash.timeSlot.end}` });
+    else entries.push(entry);
+  });
+  errors.sort((a, b) => a.line - b.line);
+  return { entries, errors };
+}
+
+// Merge keeps current entries except those an imported weekly entry overlaps
+function mergeEntries(current, imported) {
+  const kept = current
+    .map(e => (e.toObject ? e.toObject() : e))
+    .filter(e => !imported.some(i => clashes(i, e)));
+  return kept.concat(imported);
+}
+
+module.exports = {
+  MAX_IMPORT_BYTES,
+  upload,
+  parseTimetableFile,
+  mergeEntries
+};
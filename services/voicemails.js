@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+
+const VOICEMAIL_DIR = path.join(__dirname, '..', 'uploads', 'voicemails');
+const MAX_VOICEMAIL_BYTES = (parseInt(process.env.VOICEMAIL_MAX_MB, 10) || 20) * 1024 * 1024;
+const MAX_VOICEMAIL_SECONDS = parseInt(process.env.VOICEMAIL_MAX_SECONDS, 10) || 120;
+
+// What MediaRecorder produces in current browsers
+const ALLOWED_TYPES = /^(audio|video)\/(webm|ogg|mp4|mpeg)(;.*)?$/;
+const EXTENSIONS = { webm: '.webm', ogg: '.ogg', mp4: '.mp4', mpeg: '.mp3' };
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination(req, file, cb) {
+      fs.mkdir(VOICEMAIL_DIR, { recursive: true }, (err) => cb(err, VOICEMAIL_DIR));
+    },
+    filename(req, file, cb) {
+      const [, , container] = file.mimetype.match(ALLOWED_TYPES);
+      cb(null, `${uuidv4()}${EXTENSIONS[container]}`);
+    }
+  }),
+  limits: { fileSize: MAX_VOICEMAIL_BYTES, files: 1 },
+  fileFilter(req, file, cb) {
+    cb(null, ALLOWED_TYPES.test(file.mimetype));
+  }
+});
+
+// Absolute path of a stored message; file names are generated, never taken from the client
+function voicemailPath(fileName) {
+  return path.join(VOICEMAIL_DIR, path.basename(String(fileName)));
+}
+
+function removeVoicemailFile(fileName) {
+  fs.promises.unlink(voicemailPath(fileName)).catch(() => {});
+}
+
+module.exports = {
+  MAX_VOICEMAIL_BYTES,
+  MAX_VOICEMAIL_SECONDS,
+  upload,
+  voicemailPath,
+  removeVoicemailFile
+};